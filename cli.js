@@ -0,0 +1,14 @@
+#!/usr/bin/env node
+import {run} from './lib/cli.js';
+
+run(process.argv.slice(2)).then(
+	(code) => {
+		process.exitCode = code;
+	},
+	(error) => {
+		process.stderr.write(
+			`${error instanceof Error ? error.message : String(error)}\n`
+		);
+		process.exitCode = 1;
+	}
+);
@@ -1,44 +1,124 @@
 import path from 'node:path';
-import {read} from 'to-vfile';
+import {pathToFileURL} from 'node:url';
+import {read, toVFile} from 'to-vfile';
 import {remark} from 'remark';
+import remarkFrontmatter from 'remark-frontmatter';
 import remarkGfm from 'remark-gfm';
 import remarkStringify from 'remark-stringify';
 import remarkMdx from 'remark-mdx';
+import remarkParse from 'remark-parse';
+import {unified as createProcessor} from 'unified';
 import {visit} from 'unist-util-visit';
+import {
+	getAttributeValue,
+	getBooleanAttribute,
+	getStringAttribute,
+	isElement,
+} from './lib/attributes.js';
+import {selectCode} from './lib/code-selection.js';
+import {applyConditions, evaluateCondition} from './lib/conditions.js';
+import {
+	dataFormats,
+	isDataExtension,
+	parseData,
+	renderData,
+	selectData,
+	serializeData,
+} from './lib/data.js';
+import {createExpandedCache, hashContent} from './lib/expanded-cache.js';
+import {applyPropsSchema, readPropsSchema} from './lib/frontmatter.js';
+import {
+	createExtensionMap,
+	handlerNames,
+	toRawHtml,
+	toText,
+} from './lib/handlers.js';
+import {parseHeadingOffset, shiftHeadings} from './lib/headings.js';
+import {formatIncludeChain} from './lib/include-chain.js';
+import {createLimiter} from './lib/limit.js';
+import {markOrigin} from './lib/origin.js';
+import {assertInsideRoots} from './lib/path-guard.js';
+import {getSnippetProps, substituteProps} from './lib/props.js';
+import {createRemoteLoader} from './lib/remote.js';
+import {
+	aliasResolver,
+	githubResolver,
+	isRemoteUrl,
+	npmResolver,
+	resolveSnippet,
+} from './lib/resolvers.js';
+import {selectSection} from './lib/section.js';
+import {fillSlots} from './lib/slots.js';
+import {SnippetError} from './lib/snippet-error.js';
+import {rewriteUrls} from './lib/urls.js';
+
+export {auditSnippets} from './lib/audit.js';
+export {createSnippetGraph} from './lib/graph.js';
 
 /**
  * @typedef {import('mdast').RootContent} RootContent
  * @typedef {import('mdast').Parent} Parent
+ * @typedef {import('mdast').Root} Root
+ * @typedef {import('unist').Position} Position
  * @typedef {import('vfile').VFile} VFile
+ * @typedef {VFile['messages'][number]} VFileMessage
+ * @typedef {import('./lib/expanded-cache.js').CacheStats} CacheStats
+ * @typedef {import('./lib/expanded-cache.js').ExpandedCache} ExpandedCache
+ * @typedef {import('./lib/expanded-cache.js').ExpandedEntry} ExpandedEntry
+ * @typedef {import('./lib/handlers.js').Handler} Handler
+ * @typedef {import('./lib/headings.js').HeadingOffset} HeadingOffset
+ * @typedef {import('./lib/include-chain.js').IncludeChain} IncludeChain
+ * @typedef {import('./lib/limit.js').Limiter} Limiter
+ * @typedef {import('./lib/origin.js').SnippetOrigin} SnippetOrigin
+ * @typedef {import('./lib/props.js').SnippetProps} SnippetProps
+ * @typedef {import('./lib/remote.js').RemoteLoader} RemoteLoader
+ * @typedef {import('./lib/resolvers.js').ResolvedSnippet} ResolvedSnippet
+ * @typedef {import('./lib/resolvers.js').Resolver} Resolver
+ * @typedef {import('./lib/urls.js').UrlRewriter} UrlRewriter
  *
  * @typedef PluginOptions
- * @property {string} [snippetsDir] - Directory to resolve snippet files from
+ * @property {string | string[]} [snippetsDir] - Directory, or directories in lookup order, to resolve snippet files from
  * @property {string} [fileAttribute] - Custom attribute name for file path (default: 'file')
  * @property {string} [elementName] - Custom element name for snippets (default: 'Snippet')
  * @property {any} [processor] - Custom processor
+ * @property {number} [maxDepth] - Maximum depth of nested snippet includes (default: 10)
+ * @property {boolean} [strict] - Fail instead of warning when a snippet cannot be resolved (default: false)
+ * @property {string} [cacheDir] - Directory to cache remote snippets in across builds
+ * @property {boolean} [offline] - Only serve remote snippets from `cacheDir`, never fetch them (default: false)
+ * @property {number} [timeout] - Milliseconds before a remote request is aborted (default: 30000)
+ * @property {number} [retries] - Times to retry a remote request after a network error or 5xx response (default: 2)
+ * @property {number} [retryDelay] - Milliseconds before the first retry, doubled on every retry (default: 250)
+ * @property {number} [maxSize] - Maximum size of a remote snippet in bytes
+ * @property {string[]} [allowedHosts] - Only fetch remote snippets from these hosts (`*.example.com` matches subdomains)
+ * @property {string[]} [deniedHosts] - Never fetch remote snippets from these hosts
+ * @property {Record<string, Record<string, string>>} [headers] - Extra request headers per host, e.g. an auth token
+ * @property {Resolver[]} [resolvers] - Custom resolvers for snippet specifiers, tried in order before the built-in ones
+ * @property {Record<string, string>} [aliases] - Directories for path aliases, e.g. `{'@shared': 'shared/snippets'}`
+ * @property {boolean} [sectionHeading] - Keep the heading when including a `section` of a snippet (default: true)
+ * @property {HeadingOffset} [headingOffset] - Levels to shift the headings of markdown snippets by, or `auto` to nest them under the heading above the snippet (default: 0)
+ * @property {boolean} [rewriteUrls] - Rewrite relative URLs in markdown snippets so they resolve from the page (default: true)
+ * @property {UrlRewriter} [rewriteUrl] - Change how a relative URL is rewritten, return nothing to keep the default
+ * @property {boolean} [remapPositions] - Give inserted nodes the position of their `<Snippet>` element on the page instead of their position in the snippet file (default: false)
+ * @property {boolean} [fragment] - Wrap snippets with several top-level nodes in a nameless JSX element (`<>…</>`) instead of inserting the nodes as siblings (default: false)
+ * @property {Record<string, unknown>} [variables] - Values for the conditions of `<If>` elements and `if` attributes, e.g. `{edition: 'cloud'}`
+ * @property {boolean} [allowOutsideSnippetsDir] - Allow local snippets outside the snippet directories, only for trusted content (default: false)
+ * @property {number} [concurrency] - Maximum number of snippets read or fetched at the same time (default: 16)
+ * @property {Record<string, Handler>} [extensions] - How snippets are included by file extension, e.g. `{mdoc: 'markdown'}`, added to the defaults; other extensions are code blocks
+ *
+ * @typedef SnippetContext
+ * State shared with the processors that expand nested snippets
+ * @property {IncludeChain} chain - Files being expanded, from the root document down to the current file
+ * @property {RemoteLoader} loadRemote - Loader for remote snippets, shared so URLs are fetched once per processor
+ * @property {string[]} roots - Directories local snippets may be in
+ * @property {Set<string>} dependencies - Resolved paths and URLs of every snippet included in the run
+ * @property {Limiter} limit - Limit on snippets read or fetched at the same time, shared by the processor
+ * @property {Map<string, Promise<string>>} contents - Content of each snippet loaded in the run, by resolved path or URL
+ * @property {Map<string, Root>} trees - Parsed markdown snippets of the run, by processor kind and resolved path or URL
+ * @property {CacheStats} cacheStats - Hits and misses of the expanded snippet cache in the run
+ *
+ * @typedef {'gfm' | 'basic' | 'mdx'} NestedProcessorKind
  */
 
-/**
- * Fetch content from a remote URL
- * @param {string} url - The URL to fetch content from
- * @returns {Promise<{value: string, path: string}>}
- */
-async function fetchRemoteContent(url) {
-	try {
-		const response = await fetch(url);
-		if (!response.ok) {
-			throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-		}
-		const content = await response.text();
-		return {value: content, path: url};
-	} catch (error) {
-		const errorMessage = error instanceof Error ? error.message : String(error);
-		throw new Error(
-			`Failed to fetch remote content from ${url}: ${errorMessage}`
-		);
-	}
-}
-
 /**
  * Get file extension from URL or file path
  * @param {string} filePath - The file path or URL
@@ -60,12 +140,107 @@ function getFileExtension(filePath) {
 }
 
 /**
- * Check if file extension should be processed as markdown content
- * @param {string} extension - File extension
- * @returns {boolean}
+ * Deep copy a tree
+ *
+ * Objects and arrays are copied, other values such as the `RegExp` and
+ * `BigInt` literals of MDX expressions are shared. Unlike `structuredClone`,
+ * this works on every supported Node version.
+ *
+ * @template T
+ * @param {T} value
+ * @returns {T}
  */
-function isMarkdownExtension(extension) {
-	return extension === 'md' || extension === 'mdx';
+function cloneTree(value) {
+	if (Array.isArray(value)) {
+		return /** @type {any} */ (value.map((item) => cloneTree(item)));
+	}
+
+	if (value === null || typeof value !== 'object') {
+		return value;
+	}
+
+	const prototype = Object.getPrototypeOf(value);
+
+	if (prototype !== Object.prototype && prototype !== null) {
+		return value;
+	}
+
+	/** @type {Record<string, unknown>} */
+	const copy = {};
+
+	for (const [key, item] of Object.entries(value)) {
+		copy[key] = cloneTree(item);
+	}
+
+	return /** @type {T} */ (copy);
+}
+
+/**
+ * Report a problem with a snippet on the including file
+ * @param {VFile} file - The including file
+ * @param {string} reason - Human readable reason
+ * @param {{place?: Position, ruleId: string, cause?: unknown, fatal?: boolean}} options
+ */
+function reportSnippetProblem(file, reason, {place, ruleId, cause, fatal}) {
+	/** @type {import('vfile').MessageOptions} */
+	const messageOptions = {
+		place,
+		ruleId,
+		cause: cause instanceof Error ? cause : undefined,
+		source: 'remark-mdx-snippets',
+	};
+
+	if (fatal) {
+		file.fail(reason, messageOptions);
+	}
+
+	file.message(reason, messageOptions);
+}
+
+/**
+ * Read a local snippet file
+ * @param {string} filePath - Path of the snippet file
+ * @returns {Promise<string>}
+ */
+async function readLocalSnippet(filePath) {
+	try {
+		return String(await read(filePath, 'utf8'));
+	} catch (error) {
+		throw /** @type {any} */ (error)?.code === 'ENOENT'
+			? new SnippetError(
+					`Snippet file not found: ${filePath}`,
+					'missing-file',
+					error
+			  )
+			: new SnippetError(
+					`Failed to read snippet file ${filePath}: ${error}`,
+					'read-error',
+					error
+			  );
+	}
+}
+
+/**
+ * Expose the snippets a document depends on, including nested ones
+ *
+ * The list is stored on `file.data.snippetDependencies`, and local files are
+ * passed to the webpack loader's `addDependency` for HMR support.
+ *
+ * @param {VFile} file - The root document
+ * @param {Set<string>} dependencies - Resolved paths and URLs of its snippets
+ */
+function reportDependencies(file, dependencies) {
+	/** @type {any} */ (file.data).snippetDependencies = [...dependencies];
+
+	const compiler = /** @type {any} */ (file.data._compiler);
+
+	if (compiler && typeof compiler.addDependency === 'function') {
+		for (const dependency of dependencies) {
+			if (!isRemoteUrl(dependency)) {
+				compiler.addDependency(dependency);
+			}
+		}
+	}
 }
 
 /**
@@ -80,156 +255,795 @@ export function mdxSnippet(options = {}) {
 		fileAttribute = 'file',
 		elementName = 'Snippet',
 		processor: unified,
+		maxDepth = 10,
+		strict = false,
+		cacheDir,
+		offline = false,
+		timeout,
+		retries,
+		retryDelay,
+		maxSize,
+		allowedHosts,
+		deniedHosts,
+		headers,
+		resolvers: customResolvers = [],
+		aliases,
+		sectionHeading = true,
+		headingOffset = 0,
+		rewriteUrls: shouldRewriteUrls = true,
+		rewriteUrl,
+		remapPositions = false,
+		fragment = false,
+		variables = {},
+		allowOutsideSnippetsDir = false,
+		concurrency = 16,
+		extensions = {},
 	} = options;
 
+	const snippetsDirs = (
+		Array.isArray(snippetsDir) ? snippetsDir : [snippetsDir]
+	).map((directory) => path.resolve(directory));
+
+	/** @type {Resolver[]} */
+	const resolvers = [
+		...customResolvers,
+		...(aliases ? [aliasResolver(aliases)] : []),
+		githubResolver(),
+		npmResolver(),
+	];
+
+	const loadRemote = createRemoteLoader({
+		cacheDir,
+		offline,
+		timeout,
+		retries,
+		retryDelay,
+		maxSize,
+		allowedHosts,
+		deniedHosts,
+		headers,
+	});
+
+	const limit = createLimiter(concurrency);
+	const extensionHandlers = createExtensionMap(extensions);
+
+	/**
+	 * Options for the processors that expand nested snippets
+	 *
+	 * A number of `headingOffset` levels shifts the whole expanded snippet once,
+	 * on the page, while `auto` nests under the heading above at every level.
+	 */
+	const nestedOptions = {
+		...options,
+		snippetsDir,
+		headingOffset: headingOffset === 'auto' ? headingOffset : 0,
+	};
+
+	// Every level of nesting has the same options, so they share cache entries
+	const expandedCache = cacheDir
+		? createExpandedCache(path.resolve(cacheDir), nestedOptions)
+		: undefined;
+
+	/** @type {Map<NestedProcessorKind, any>} */
+	const nestedProcessors = new Map();
+
+	/**
+	 * Get the processor that expands nested snippets, built once per plugin instance
+	 *
+	 * Markdown snippets, and remote MDX snippets, are parsed as markdown with
+	 * GFM, or without it as a fallback, and local MDX snippets as MDX.
+	 *
+	 * @param {NestedProcessorKind} kind
+	 * @returns {any}
+	 */
+	const getProcessor = (kind) => {
+		let nestedProcessor = nestedProcessors.get(kind);
+
+		if (!nestedProcessor) {
+			// Start from a copy, so the `processor` option is never changed
+			nestedProcessor = (unified ? unified() : remark()).use(remarkFrontmatter);
+
+			if (kind !== 'basic') {
+				nestedProcessor.use(remarkGfm);
+			}
+
+			nestedProcessor.use(remarkStringify);
+
+			if (kind === 'mdx') {
+				nestedProcessor.use(remarkMdx);
+			}
+
+			nestedProcessor = nestedProcessor.use(mdxSnippet, nestedOptions).freeze();
+			nestedProcessors.set(kind, nestedProcessor);
+		}
+
+		return nestedProcessor;
+	};
+
+	/** Attributes that configure the snippet rather than being passed as props */
+	const reservedAttributes = new Set([
+		fileAttribute,
+		'lang',
+		'meta',
+		'lines',
+		'region',
+		'section',
+		'sectionHeading',
+		'headingOffset',
+		'if',
+		'as',
+		'select',
+		'data',
+	]);
+
+	/**
+	 * Get the values conditions are evaluated against
+	 *
+	 * Props win over variables with the same name, both are also available as
+	 * `props.name` and `variables.name`.
+	 *
+	 * @param {Record<string, unknown>} props - Props of the snippet
+	 * @returns {Record<string, unknown>}
+	 */
+	const getConditionScope = (props) => ({
+		...variables,
+		...props,
+		props,
+		variables,
+	});
+
 	return async (tree, file) => {
 		/** @type {Promise<void>[]} */
 		const queue = [];
+		/** @type {Map<any, any[]>} */
+		const replacements = new Map();
+		/** @type {unknown[]} */
+		const failures = [];
 
-		visit(tree, ['mdxJsxFlowElement', 'mdxJsxTextElement'], (node) => {
-			if (
-				(node.type !== 'mdxJsxFlowElement' &&
-					node.type !== 'mdxJsxTextElement') ||
-				// @ts-ignore
-				node.name !== elementName
-			) {
-				return;
+		/** @type {SnippetContext | undefined} */
+		const parentContext = /** @type {any} */ (file.data).snippetContext;
+		/** @type {SnippetContext} */
+		const context = parentContext || {
+			chain: [{path: file.path ? path.resolve(file.cwd, file.path) : '<root>'}],
+			loadRemote,
+			roots: snippetsDirs,
+			dependencies: new Set(),
+			limit,
+			contents: new Map(),
+			trees: new Map(),
+			cacheStats: {hits: 0, misses: 0},
+		};
+		const {chain} = context;
+
+		/**
+		 * Load a snippet once per run, within the `concurrency` limit
+		 * @param {string} snippetId - Resolved path or URL of the snippet
+		 * @param {() => Promise<string>} load - Read or fetch the snippet
+		 * @returns {Promise<string>}
+		 */
+		const loadSnippet = (snippetId, load) => {
+			let content = context.contents.get(snippetId);
+
+			if (!content) {
+				content = context.limit(load);
+				context.contents.set(snippetId, content);
 			}
 
-			// @ts-ignore
-			const fileAttr = node.attributes.find(
-				(/** @type {any} */ attr) => attr.name === fileAttribute
-			);
+			return content;
+		};
 
-			if (!fileAttr || typeof fileAttr.value !== 'string') {
-				console.warn(
-					`${elementName} tag missing required "${fileAttribute}" attribute:`,
-					node
+		/**
+		 * Load a resolved snippet or data file, unless a resolver already loaded it
+		 * @param {ResolvedSnippet} resolved
+		 * @param {string} snippetId - Resolved path or URL of the file
+		 * @returns {Promise<string>}
+		 */
+		const loadResolved = async (resolved, snippetId) =>
+			resolved.value === undefined
+				? loadSnippet(snippetId, async () =>
+						resolved.remote
+							? (await context.loadRemote(resolved.path)).value
+							: readLocalSnippet(resolved.path)
+				  )
+				: resolved.value;
+
+		/**
+		 * Hash the current content of a snippet
+		 * @param {string} snippetId - Resolved path or URL of the snippet
+		 * @returns {Promise<string | undefined>} - Nothing when the snippet cannot be loaded
+		 */
+		const hashSnippet = async (snippetId) => {
+			try {
+				return hashContent(
+					await loadSnippet(snippetId, async () =>
+						isRemoteUrl(snippetId)
+							? (
+									await context.loadRemote(snippetId)
+							  ).value
+							: readLocalSnippet(snippetId)
+					)
 				);
-				return;
+			} catch {
+				return undefined;
 			}
+		};
 
-			const isRemoteFile =
-				fileAttr.value.startsWith('https://') ||
-				fileAttr.value.startsWith('http://');
-
-			// Extract lang and meta attributes for code blocks
-			// @ts-ignore
-			const langAttr = node.attributes.find(
-				(/** @type {any} */ attr) => attr.name === 'lang'
-			);
-			// @ts-ignore
-			const metaAttr = node.attributes.find(
-				(/** @type {any} */ attr) => attr.name === 'meta'
-			);
-
-			const lang =
-				langAttr && typeof langAttr.value === 'string' ? langAttr.value : null;
-			const meta =
-				metaAttr && typeof metaAttr.value === 'string' ? metaAttr.value : null;
-
-			let contentPromise;
-			let filePath;
-
-			if (isRemoteFile) {
-				// Handle remote files
-				const url = fileAttr.value; // Use URL directly
-				filePath = url;
-				contentPromise = fetchRemoteContent(url);
-			} else {
-				// Handle local files
-				filePath = path.join(snippetsDir, fileAttr.value);
-
-				// Add dependency tracking for HMR support
-				// @ts-ignore
-				const compiler = /** @type {any} */ (file.data._compiler);
-				if (compiler && typeof compiler.addDependency === 'function') {
-					compiler.addDependency(filePath);
+		/**
+		 * Read an expanded snippet from the cache, unless one of its nested snippets changed
+		 * @param {string} key
+		 * @returns {Promise<ExpandedEntry | undefined>}
+		 */
+		const readExpanded = async (key) => {
+			const entry = await /** @type {ExpandedCache} */ (expandedCache).get(key);
+
+			if (!entry) {
+				return undefined;
+			}
+
+			for (const [snippetId, hash] of Object.entries(entry.dependencies)) {
+				if ((await hashSnippet(snippetId)) !== hash) {
+					return undefined;
+				}
+			}
+
+			return entry;
+		};
+
+		/**
+		 * Store an expanded snippet with the hashes of its nested snippets
+		 *
+		 * Snippets whose nested snippets cannot be hashed, such as content from a
+		 * resolver, are not stored.
+		 *
+		 * @param {string} key
+		 * @param {Root} tree - Expanded snippet
+		 * @param {Set<string>} dependencies - Nested snippets
+		 * @returns {Promise<void>}
+		 */
+		const storeExpanded = async (key, tree, dependencies) => {
+			/** @type {Record<string, string>} */
+			const hashes = {};
+
+			for (const snippetId of dependencies) {
+				const hash = await hashSnippet(snippetId);
+
+				if (hash === undefined) {
+					return;
 				}
 
-				contentPromise = read(filePath, 'utf8');
+				hashes[snippetId] = hash;
+			}
+
+			await /** @type {ExpandedCache} */ (expandedCache).set(key, {
+				tree,
+				dependencies: hashes,
+			});
+		};
+
+		/**
+		 * Parse a markdown snippet once per run and processor, every include gets its own copy
+		 *
+		 * `as` can parse the same file as markdown and as MDX, so trees are kept
+		 * per processor kind.
+		 *
+		 * @param {NestedProcessorKind} kind - Processor to parse with
+		 * @param {string} snippetId - Resolved path or URL of the snippet
+		 * @param {VFile} snippetFile - The snippet file
+		 * @returns {Root}
+		 */
+		const parseSnippet = (kind, snippetId, snippetFile) => {
+			const treeKey = `${kind}:${snippetId}`;
+			let parsed = context.trees.get(treeKey);
+
+			if (!parsed) {
+				parsed = /** @type {Root} */ (getProcessor(kind).parse(snippetFile));
+				context.trees.set(treeKey, parsed);
+			}
+
+			// Includes change their tree while preparing and expanding it
+			return cloneTree(parsed);
+		};
+
+		/**
+		 * Report a problem found while visiting the tree
+		 *
+		 * In strict mode the run fails once the queued snippets settle, so none
+		 * of them is left to reject unhandled.
+		 *
+		 * @param {string} reason - Human readable reason
+		 * @param {{place?: Position, ruleId: string}} options
+		 */
+		const reportVisitProblem = (reason, {place, ruleId}) => {
+			try {
+				reportSnippetProblem(file, reason, {place, ruleId, fatal: strict});
+			} catch (error) {
+				failures.push(error);
 			}
+		};
+
+		// Depth of the last heading seen, snippets with `headingOffset="auto"` nest under it
+		let parentDepth = 0;
+
+		visit(
+			tree,
+			['heading', 'mdxJsxFlowElement', 'mdxJsxTextElement'],
+			(node) => {
+				if (node.type === 'heading') {
+					parentDepth = node.depth;
+					return;
+				}
+
+				if (!isElement(node, elementName)) {
+					return;
+				}
+
+				// @ts-ignore
+				const specifier = getStringAttribute(node.attributes, fileAttribute);
+
+				if (specifier === null) {
+					reportVisitProblem(
+						`${elementName} tag missing required "${fileAttribute}" attribute`,
+						{place: node.position, ruleId: 'missing-attribute'}
+					);
+					return;
+				}
+
+				// Extract lang, meta and selection attributes for code blocks
+				// @ts-ignore
+				const lang = getStringAttribute(node.attributes, 'lang');
+				// @ts-ignore
+				const meta = getStringAttribute(node.attributes, 'meta');
+				// @ts-ignore
+				const lines = getStringAttribute(node.attributes, 'lines');
+				// @ts-ignore
+				const region = getStringAttribute(node.attributes, 'region');
+				// @ts-ignore
+				const section = getStringAttribute(node.attributes, 'section');
+				// @ts-ignore
+				const format = getStringAttribute(node.attributes, 'as');
+				// @ts-ignore
+				const selector = getStringAttribute(node.attributes, 'select');
+				// @ts-ignore
+				const dataSpecifier = getStringAttribute(node.attributes, 'data');
+				const keepHeading =
+					// @ts-ignore
+					getBooleanAttribute(node.attributes, 'sectionHeading') ??
+					sectionHeading;
+				const offsetValue =
+					// @ts-ignore
+					getAttributeValue(node.attributes, 'headingOffset') ?? headingOffset;
+				const depth = parentDepth;
+
+				// @ts-ignore
+				const props = getSnippetProps(node.attributes, reservedAttributes);
+				// @ts-ignore
+				const condition = getAttributeValue(node.attributes, 'if');
+
+				if (typeof condition === 'string') {
+					try {
+						if (!evaluateCondition(condition, getConditionScope(props))) {
+							replacements.set(node, []);
+							return;
+						}
+					} catch (error) {
+						reportVisitProblem(/** @type {Error} */ (error).message, {
+							place: node.position,
+							ruleId: 'invalid-condition',
+						});
+						return;
+					}
+				}
+
+				/**
+				 * Validate props against the frontmatter of a parsed markdown snippet, drop branches whose
+				 * condition does not hold, select the requested section, substitute props and rebase its URLs
+				 *
+				 * Runs before nested snippets are expanded, so every URL is rewritten once, by the snippet it is in.
+				 *
+				 * @param {any} parsed - Parsed snippet tree
+				 * @param {ResolvedSnippet} resolved - Where the snippet came from
+				 * @param {SnippetProps} passedProps - Props of the element, with those from its `data` file
+				 * @returns {Root}
+				 */
+				const prepare = (parsed, resolved, passedProps) => {
+					const schema = readPropsSchema(parsed, specifier);
+					const {props: snippetProps, problems} = schema
+						? applyPropsSchema(schema, passedProps, specifier)
+						: {props: passedProps, problems: []};
+
+					for (const {reason, ruleId} of problems) {
+						reportSnippetProblem(file, reason, {place: node.position, ruleId});
+					}
+
+					applyConditions(parsed, getConditionScope(snippetProps));
+
+					const ast = section
+						? selectSection(parsed, section, {heading: keepHeading}, specifier)
+						: parsed;
+					const missing = substituteProps(ast, snippetProps);
+
+					for (const name of missing) {
+						// Declared props were already checked against the schema
+						if (schema && name.split('.')[0] in schema) {
+							continue;
+						}
+
+						reportSnippetProblem(
+							file,
+							`Missing prop "${name}" for snippet "${specifier}"`,
+							{place: node.position, ruleId: 'missing-prop'}
+						);
+					}
+
+					if (shouldRewriteUrls) {
+						rewriteUrls(ast, {
+							snippet: resolved.path,
+							remote: resolved.remote,
+							document: chain[0].path === '<root>' ? undefined : chain[0].path,
+							cwd: file.cwd,
+							elementName,
+							rewrite: rewriteUrl,
+						});
+					}
+
+					return ast;
+				};
 
-			const promise = contentPromise
-				.then((snippetFile) => {
-					// Determine the file extension to decide processing method
-					// We already verified fileAttr.value is a string above
-					const fileValue = /** @type {string} */ (fileAttr.value);
-					const sourceFile = fileValue; // Use as-is for both remote and local files
-					const extension = getFileExtension(sourceFile);
-
-					if (isMarkdownExtension(extension)) {
-						// Process as markdown content
-						if (isRemoteFile) {
-							// For remote markdown/MDX files, use a simpler processor that doesn't cause MDX conflicts
-							const content =
-								typeof snippetFile === 'string'
-									? snippetFile
-									: snippetFile.value || snippetFile;
-							// Try GFM first for full HTML/table support, fallback to basic if it fails
-							const gfmProcessor = (unified ?? remark())
-								.use(remarkGfm)
-								.use(remarkStringify)
-								.use(mdxSnippet, {
-									snippetsDir,
-									fileAttribute,
-									elementName,
-									processor: unified,
-								});
-
-							const basicProcessor = (unified ?? remark())
-								.use(remarkStringify)
-								.use(mdxSnippet, {
-									snippetsDir,
-									fileAttribute,
-									elementName,
-									processor: unified,
-								});
-
-							try {
-								// First attempt: try with GFM for full feature support
-								// @ts-ignore
-								const vfile = new VFile({value: content, path: sourceFile});
-								const ast = gfmProcessor().parse(vfile);
-								return gfmProcessor().run(ast, vfile);
-							} catch (gfmError) {
-								// Fallback: use basic processing if GFM fails
-								const errorMessage =
-									gfmError instanceof Error
-										? gfmError.message
-										: String(gfmError);
-								console.warn(
-									'GFM processing failed, falling back to basic markdown:',
-									errorMessage
+				/**
+				 * Expand a parsed markdown snippet, surfacing its messages on the including file
+				 * @param {any} snippetProcessor - Processor to run
+				 * @param {Root} ast - Parsed snippet tree
+				 * @param {VFile} snippetFile - The snippet file
+				 * @returns {Promise<any>}
+				 */
+				const runNested = async (snippetProcessor, ast, snippetFile) => {
+					const result = await snippetProcessor.run(ast, snippetFile);
+					file.messages.push(...snippetFile.messages);
+					return result;
+				};
+
+				/**
+				 * Load the file of a `data` attribute, whose keys become props
+				 * @param {string} source - Specifier of the data file
+				 * @param {string[]} roots - Directories the data file may be in
+				 * @returns {Promise<Record<string, unknown>>}
+				 */
+				const loadData = async (source, roots) => {
+					const resolved = await resolveSnippet(source, resolvers, {
+						snippetsDirs,
+						file,
+					});
+					const dataId = resolved.remote
+						? resolved.path
+						: path.resolve(resolved.path);
+					const extension = getFileExtension(resolved.path);
+
+					if (!isDataExtension(extension)) {
+						throw new SnippetError(
+							`Data file "${source}" of snippet "${specifier}" is not a JSON, YAML or CSV file`,
+							'invalid-data'
+						);
+					}
+
+					if (
+						!resolved.remote &&
+						resolved.value === undefined &&
+						!allowOutsideSnippetsDir
+					) {
+						await assertInsideRoots(source, resolved.path, roots);
+					}
+
+					context.dependencies.add(dataId);
+
+					const data = parseData(
+						await loadResolved(resolved, dataId),
+						extension,
+						source
+					);
+					const value = selector ? selectData(data, selector, source) : data;
+
+					if (
+						typeof value !== 'object' ||
+						value === null ||
+						Array.isArray(value)
+					) {
+						throw new SnippetError(
+							`Data file "${source}" of snippet "${specifier}" must hold an object to be used as props`,
+							'invalid-data'
+						);
+					}
+
+					return /** @type {Record<string, unknown>} */ (value);
+				};
+
+				/** @type {SnippetOrigin | undefined} */
+				let origin;
+
+				/**
+				 * Resolve, load and parse the snippet
+				 * @returns {Promise<any>}
+				 */
+				const expand = async () => {
+					const resolved = await resolveSnippet(specifier, resolvers, {
+						snippetsDirs,
+						file,
+					});
+					const filePath = resolved.path;
+					const isRemoteFile = resolved.remote;
+					const snippetId = isRemoteFile ? filePath : path.resolve(filePath);
+					const includedFrom = chain[chain.length - 1].path;
+					origin = {
+						path: snippetId,
+						url: isRemoteFile ? snippetId : pathToFileURL(snippetId).href,
+						includedFrom: includedFrom === '<root>' ? undefined : includedFrom,
+						position: node.position,
+					};
+					/** @type {IncludeChain} */
+					const includeChain = [
+						...chain,
+						{path: snippetId, position: node.position},
+					];
+					const roots = resolved.root
+						? [...context.roots, resolved.root]
+						: context.roots;
+					/** @type {SnippetContext} */
+					const nestedContext = {
+						...context,
+						chain: includeChain,
+						roots,
+						dependencies: new Set(),
+					};
+
+					if (chain.some((link) => link.path === snippetId)) {
+						reportSnippetProblem(
+							file,
+							`Circular snippet include: ${formatIncludeChain(includeChain)}`,
+							{place: node.position, ruleId: 'circular-include', fatal: true}
+						);
+					}
+
+					if (includeChain.length - 1 > maxDepth) {
+						reportSnippetProblem(
+							file,
+							`Snippets are nested deeper than maxDepth (${maxDepth}): ${formatIncludeChain(
+								includeChain
+							)}`,
+							{place: node.position, ruleId: 'max-depth', fatal: true}
+						);
+					}
+
+					// Snippets come from contributors, never inline files from elsewhere on disk
+					if (
+						!isRemoteFile &&
+						resolved.value === undefined &&
+						!allowOutsideSnippetsDir
+					) {
+						await assertInsideRoots(specifier, filePath, roots);
+					}
+
+					// Tracked before reading, so creating a missing snippet triggers a rebuild
+					context.dependencies.add(snippetId);
+
+					const content = await loadResolved(resolved, snippetId);
+					// Every include gets its own file, so messages are reported once per include
+					const snippetFile = toVFile({
+						value: content,
+						path: filePath,
+						data: {snippetContext: nestedContext},
+					});
+
+					// The `as` attribute, or else the file extension, decides how the snippet is included
+					const extension = getFileExtension(filePath);
+					const extensionHandler = extensionHandlers.get(extension) ?? 'code';
+					// Asking for a language shows text and HTML files as code
+					const handler =
+						format ??
+						(lang &&
+						(extensionHandler === 'text' || extensionHandler === 'raw-html')
+							? 'code'
+							: extensionHandler);
+					const rendersData =
+						typeof handler === 'string' && dataFormats.has(handler);
+					const isData = isDataExtension(extension);
+
+					if (
+						typeof handler === 'string' &&
+						!handlerNames.has(handler) &&
+						!rendersData
+					) {
+						throw new SnippetError(
+							`Unknown as="${handler}" for snippet "${specifier}", expected one of: ${[
+								...handlerNames,
+								...dataFormats,
+							].join(', ')}`,
+							'invalid-handler'
+						);
+					}
+
+					if (rendersData && !isData) {
+						throw new SnippetError(
+							`Snippet "${specifier}" is not a JSON, YAML or CSV file, as="${handler}" cannot be used`,
+							'invalid-data'
+						);
+					}
+
+					if (
+						selector &&
+						!dataSpecifier &&
+						!(isData && (rendersData || handler === 'code'))
+					) {
+						throw new SnippetError(
+							`Snippet "${specifier}" is not a JSON, YAML or CSV file shown as a table, list or code block, "select" cannot be used`,
+							'invalid-data'
+						);
+					}
+
+					// Keys of the data file are props, props of the element win
+					const boundProps = dataSpecifier
+						? {...(await loadData(dataSpecifier, roots)), ...props}
+						: props;
+
+					if (handler === 'markdown' || handler === 'mdx') {
+						const cacheKey = expandedCache?.key({
+							snippet: snippetId,
+							content: hashContent(content),
+							handler,
+							props: boundProps,
+							section,
+							sectionHeading: keepHeading,
+							document: chain[0].path,
+							cwd: file.cwd,
+							depth: includeChain.length,
+						});
+
+						if (cacheKey) {
+							const cached = await readExpanded(cacheKey);
+
+							if (cached) {
+								context.cacheStats.hits++;
+
+								for (const dependency of Object.keys(cached.dependencies)) {
+									context.dependencies.add(dependency);
+								}
+
+								return cached.tree;
+							}
+
+							context.cacheStats.misses++;
+						}
+
+						const messageCount = file.messages.length;
+
+						/** @returns {Promise<any>} */
+						const expandMarkdown = async () => {
+							// Process as markdown content
+							if (isRemoteFile || handler === 'markdown') {
+								// For markdown and remote MDX files, use a simpler processor that doesn't cause MDX conflicts
+								// Try GFM first for full HTML/table support, fallback to basic if it fails
+								try {
+									// First attempt: try with GFM for full feature support
+									const gfmProcessor = getProcessor('gfm');
+									const ast = prepare(
+										parseSnippet('gfm', snippetId, snippetFile),
+										resolved,
+										boundProps
+									);
+									return runNested(gfmProcessor, ast, snippetFile);
+								} catch (gfmError) {
+									// Problems with the snippet itself are not fixed by parsing without GFM
+									if (
+										gfmError instanceof SnippetError ||
+										/** @type {any} */ (gfmError)?.fatal === true
+									) {
+										throw gfmError;
+									}
+
+									// Fallback: use basic processing if GFM fails
+									const errorMessage =
+										gfmError instanceof Error
+											? gfmError.message
+											: String(gfmError);
+									reportSnippetProblem(
+										file,
+										`GFM processing failed for ${filePath}, falling back to basic markdown: ${errorMessage}`,
+										{
+											place: node.position,
+											ruleId: 'gfm-fallback',
+											cause: gfmError,
+										}
+									);
+
+									const basicProcessor = getProcessor('basic');
+									const ast = prepare(
+										basicProcessor.parse(snippetFile),
+										resolved,
+										boundProps
+									);
+									return runNested(basicProcessor, ast, snippetFile);
+								}
+							} else {
+								// For local files, use the full processor including MDX
+								const snippetProcessor = getProcessor('mdx');
+								const ast = prepare(
+									parseSnippet('mdx', snippetId, snippetFile),
+									resolved,
+									boundProps
 								);
+								return runNested(snippetProcessor, ast, snippetFile);
+							}
+						};
 
-								const ast = basicProcessor().parse(content);
-								const fileObj = {value: content, path: sourceFile, data: {}};
-								return basicProcessor().run(ast, fileObj);
+						/** @type {any} */
+						let result;
+
+						try {
+							result = await expandMarkdown();
+						} finally {
+							// Nested snippets are collected per include, for the entries of the cache
+							for (const dependency of nestedContext.dependencies) {
+								context.dependencies.add(dependency);
 							}
-						} else {
-							// For local files, use the full processor including MDX
-							const snippetProcessor = (unified ?? remark())
-								.use(remarkGfm)
-								.use(remarkStringify)
-								.use(remarkMdx)
-								.use(mdxSnippet, {
-									snippetsDir,
-									fileAttribute,
-									elementName,
-									processor: unified,
-								});
-
-							const ast = snippetProcessor().parse(snippetFile);
-							return snippetProcessor().run(ast, snippetFile);
 						}
+
+						// Only clean expansions are cached, so no message is lost on a hit
+						if (cacheKey && file.messages.length === messageCount) {
+							await storeExpanded(cacheKey, result, nestedContext.dependencies);
+						}
+
+						return result;
+					} else if (rendersData || (isData && selector)) {
+						// Render or select data from JSON, YAML and CSV files
+						const data = parseData(content, extension, specifier);
+						const value = selector
+							? selectData(data, selector, specifier)
+							: data;
+
+						return {
+							type: 'root',
+							children: [
+								rendersData
+									? renderData(value, handler)
+									: {
+											type: 'code',
+											...serializeData(value, extension),
+											meta: meta || null,
+									  },
+							],
+						};
 					} else {
-						// Create a code block for non-markdown files
+						const value =
+							lines || region
+								? selectCode(content, {lines, region}, specifier)
+								: content;
+
+						if (typeof handler === 'function') {
+							const result = await handler(value, {
+								path: snippetId,
+								extension,
+								specifier,
+								props: boundProps,
+								file,
+							});
+
+							return result.type === 'root'
+								? result
+								: {type: 'root', children: [result]};
+						}
+
+						if (handler === 'text') {
+							return toText(value);
+						}
+
+						if (handler === 'raw-html') {
+							return toRawHtml(value);
+						}
+
+						// Create a code block for everything else
 						const codeBlockNode = {
 							type: 'code',
 							lang: lang || extension || null,
 							meta: meta || null,
-							value: snippetFile.value || snippetFile,
+							value,
 						};
 
 						// Return a result with the code block as a child
@@ -238,41 +1052,154 @@ export function mdxSnippet(options = {}) {
 							children: [codeBlockNode],
 						};
 					}
-				})
-				.then((result) => {
-					// Replace the node with the parsed content (first child if single, or fragment if multiple)
-					// This approach is safer than splicing during visit
-					if (result.children.length === 1) {
-						// Single child - replace the node with the child content
-						Object.assign(node, result.children[0]);
-					} else {
-						// Multiple children - create a fragment-like structure
-						Object.assign(node, {
-							type: 'mdxJsxFlowElement',
-							name: null,
-							attributes: [],
-							children: result.children,
-						});
-					}
-				})
-				.catch((error) => {
-					// We already verified fileAttr.value is a string above
-					const fileValue = /** @type {string} */ (fileAttr.value);
-					const sourcePath = isRemoteFile
-						? fileValue // Use URL directly for display
-						: path.join(snippetsDir, fileValue);
-
-					console.error(
-						'Error reading snippet file:',
-						`\n\nSnippet at: ${file.path}:${node.position?.start?.line}:${node.position?.start?.column}`,
-						`\n${isRemoteFile ? 'Remote URL' : 'File path'}: ${sourcePath}`,
-						`\nError: ${error instanceof Error ? error.message : String(error)}`
-					);
-				});
+				};
+
+				const promise = expand()
+					.then((result) => {
+						shiftHeadings(result, parseHeadingOffset(offsetValue), depth);
+						markOrigin(
+							result,
+							/** @type {SnippetOrigin} */ (origin),
+							remapPositions
+						);
+						// Page content keeps its own positions and origin, so slots are filled last
+						fillSlots(result, node, specifier);
+
+						if (node.type === 'mdxJsxTextElement') {
+							// Inline snippets can only hold phrasing content, unwrap their paragraph
+							const [paragraph] = result.children;
+
+							if (
+								result.children.length > 1 ||
+								(paragraph && paragraph.type !== 'paragraph')
+							) {
+								throw new SnippetError(
+									`Snippet "${specifier}" has block content and cannot be used inline`,
+									'inline-block-content'
+								);
+							}
+
+							replacements.set(node, paragraph ? paragraph.children : []);
+						} else if (fragment && result.children.length > 1) {
+							replacements.set(node, [
+								{
+									type: 'mdxJsxFlowElement',
+									name: null,
+									attributes: [],
+									children: result.children,
+									position: node.position,
+									data: {snippet: origin},
+								},
+							]);
+						} else {
+							replacements.set(node, result.children);
+						}
+					})
+					.catch((error) => {
+						// Include cycles and depth errors must stop the whole build
+						if (error && error.fatal === true) {
+							if (!file.messages.includes(error)) {
+								file.messages.push(error);
+							}
+							throw error;
+						}
+
+						// The snippet is left unresolved, in strict mode that fails the build
+						if (error instanceof SnippetError) {
+							reportSnippetProblem(file, error.message, {
+								place: node.position,
+								ruleId: error.ruleId,
+								cause: error.cause,
+								fatal: strict,
+							});
+							return;
+						}
+
+						reportSnippetProblem(
+							file,
+							`Failed to process snippet ${specifier}: ${
+								error instanceof Error ? error.message : String(error)
+							}`,
+							{
+								place: node.position,
+								ruleId: 'process-error',
+								cause: error,
+								fatal: strict,
+							}
+						);
+					});
+
+				queue.push(promise);
+			}
+		);
+
+		try {
+			await Promise.all(queue);
+
+			if (failures.length > 0) {
+				throw failures[0];
+			}
+
+			// Splice expanded snippets in once all are done, so indexes stay valid while visiting.
+			// Inserted nodes are visited too: slot content can hold snippets of this file.
+			visit(tree, (child, index, parent) => {
+				const replacement = replacements.get(child);
+
+				if (replacement && parent && index !== undefined) {
+					parent.children.splice(index, 1, ...replacement);
+					return index;
+				}
+			});
+		} finally {
+			// Only the root document reports dependencies, nested snippets add to its set
+			if (!parentContext) {
+				reportDependencies(file, context.dependencies);
+
+				if (expandedCache) {
+					/** @type {any} */ (file.data).snippetCache = context.cacheStats;
+				}
+			}
+		}
+	};
+}
+
+/**
+ * @typedef ExpandResult
+ * @property {string} value - Markdown with every snippet inlined
+ * @property {string[]} dependencies - Resolved paths and URLs of the included snippets, nested ones too
+ * @property {VFileMessage[]} messages - Problems found while expanding
+ */
+
+/**
+ * Expand the snippets in a document without setting up a unified pipeline
+ *
+ * The document is parsed as MDX with GFM and frontmatter, and serialized back
+ * to markdown with every snippet inlined, for example for search indexes or
+ * editors. A `VFile` is processed in place, so pass one with a `path` to
+ * resolve relative snippets from it.
+ *
+ * @param {string | VFile} source - Document to expand
+ * @param {PluginOptions} [options] - Same options as the plugin
+ * @returns {Promise<ExpandResult>}
+ */
+export async function expandSnippets(source, options = {}) {
+	const file = typeof source === 'string' ? toVFile({value: source}) : source;
 
-			queue.push(promise);
-		});
+	await createProcessor()
+		.use(remarkParse)
+		.use(remarkFrontmatter)
+		.use(remarkGfm)
+		.use(remarkMdx)
+		.use(mdxSnippet, {
+			processor: createProcessor().use(remarkParse),
+			...options,
+		})
+		.use(remarkStringify)
+		.process(file);
 
-		await Promise.all(queue);
+	return {
+		value: String(file),
+		dependencies: /** @type {any} */ (file.data).snippetDependencies,
+		messages: file.messages,
 	};
 }
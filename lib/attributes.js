@@ -0,0 +1,76 @@
+/**
+ * Check whether a node is a JSX element, optionally with a given name
+ * @param {any} node
+ * @param {string} [name] - Element name
+ * @returns {boolean}
+ */
+export function isElement(node, name) {
+	return (
+		(node.type === 'mdxJsxFlowElement' || node.type === 'mdxJsxTextElement') &&
+		(name === undefined || node.name === name)
+	);
+}
+
+/**
+ * Get the value of a string attribute on a JSX element
+ * @param {any[]} attributes - Attributes of the element
+ * @param {string} name - Attribute name
+ * @returns {string | null}
+ */
+export function getStringAttribute(attributes, name) {
+	const attr = findAttribute(attributes, name);
+	return attr && typeof attr.value === 'string' ? attr.value : null;
+}
+
+/**
+ * Get the raw value of an attribute on a JSX element
+ *
+ * String values are returned as-is and expression values (`{2}`) as their
+ * source, a bare attribute (`<Snippet compact />`) is `true`.
+ *
+ * @param {any[]} attributes - Attributes of the element
+ * @param {string} name - Attribute name
+ * @returns {string | true | null}
+ */
+export function getAttributeValue(attributes, name) {
+	const attr = findAttribute(attributes, name);
+
+	if (!attr) {
+		return null;
+	}
+
+	if (attr.value === null || attr.value === undefined) {
+		return true;
+	}
+
+	return typeof attr.value === 'string'
+		? attr.value
+		: String(attr.value.value).trim();
+}
+
+/**
+ * Get the value of a boolean attribute on a JSX element
+ *
+ * A bare attribute (`<Snippet compact />`) is `true`, `"false"` and `{false}`
+ * are `false`.
+ *
+ * @param {any[]} attributes - Attributes of the element
+ * @param {string} name - Attribute name
+ * @returns {boolean | null}
+ */
+export function getBooleanAttribute(attributes, name) {
+	const value = getAttributeValue(attributes, name);
+	return value === null ? null : value === true || value.trim() !== 'false';
+}
+
+/**
+ * @param {any[]} attributes
+ * @param {string} name
+ * @returns {any}
+ */
+function findAttribute(attributes, name) {
+	return attributes.find(
+		(/** @type {any} */ attr) =>
+			attr.type === 'mdxJsxAttribute' && attr.name === name
+	);
+}
@@ -0,0 +1,126 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {glob} from 'tinyglobby';
+import {toVFile} from 'to-vfile';
+import {isRemoteUrl} from './resolvers.js';
+
+/**
+ * @typedef {import('vfile').VFile} VFile
+ * @typedef {VFile['messages'][number]} VFileMessage
+ *
+ * @typedef AuditOptions
+ * @property {string | string[]} [snippetsDir] - Directories with the snippets, as passed to the plugin (default: `_snippets`)
+ *
+ * @typedef MissingSnippet
+ * @property {string} snippet - Resolved path the include points at
+ * @property {string[]} documents - Documents that include it, directly or through other snippets
+ *
+ * @typedef SnippetAudit
+ * @property {string[]} unused - Snippet files no document includes
+ * @property {MissingSnippet[]} missing - Included snippets that do not exist
+ * @property {VFileMessage[]} messages - An `unused-snippet` message per unused snippet, and the `missing-file` messages of the documents
+ */
+
+/**
+ * List the files in the snippet directories
+ * @param {string[]} directories - Absolute directories
+ * @returns {Promise<string[]>}
+ */
+async function listSnippets(directories) {
+	/** @type {string[]} */
+	const files = [];
+
+	for (const directory of directories) {
+		files.push(
+			...(await glob('**/*', {
+				cwd: directory,
+				absolute: true,
+				ignore: ['**/node_modules/**'],
+			}))
+		);
+	}
+
+	return [...new Set(files.map((file) => path.resolve(file)))].sort();
+}
+
+/**
+ * Check whether a file exists
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function exists(filePath) {
+	try {
+		await fs.access(filePath);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Find snippets that no document includes and includes of snippets that do not exist
+ *
+ * Pass every document after processing it with the plugin: the snippets it
+ * includes, nested ones too, are read from `file.data.snippetDependencies`.
+ * Remote snippets are not checked.
+ *
+ * @param {Iterable<VFile>} files - Processed documents
+ * @param {AuditOptions} [options]
+ * @returns {Promise<SnippetAudit>}
+ */
+export async function auditSnippets(files, options = {}) {
+	const {snippetsDir = '_snippets'} = options;
+	const directories = (
+		Array.isArray(snippetsDir) ? snippetsDir : [snippetsDir]
+	).map((directory) => path.resolve(directory));
+	/** @type {Map<string, string[]>} */
+	const dependents = new Map();
+	/** @type {VFileMessage[]} */
+	const messages = [];
+
+	for (const file of files) {
+		const document = file.path ? path.resolve(file.cwd, file.path) : '<root>';
+
+		for (const snippet of /** @type {any} */ (file.data).snippetDependencies ||
+			[]) {
+			if (isRemoteUrl(snippet)) {
+				continue;
+			}
+
+			const documents = dependents.get(snippet) || [];
+			documents.push(document);
+			dependents.set(snippet, documents);
+		}
+
+		messages.push(
+			...file.messages.filter((message) => message.ruleId === 'missing-file')
+		);
+	}
+
+	/** @type {MissingSnippet[]} */
+	const missing = [];
+
+	for (const [snippet, documents] of [...dependents].sort(([a], [b]) =>
+		a.localeCompare(b)
+	)) {
+		if (!(await exists(snippet))) {
+			missing.push({snippet, documents: documents.sort()});
+		}
+	}
+
+	const unused = (await listSnippets(directories)).filter(
+		(snippet) => !dependents.has(snippet)
+	);
+
+	for (const snippet of unused) {
+		const file = toVFile({path: snippet});
+		messages.push(
+			file.message('Snippet is not included by any document', {
+				ruleId: 'unused-snippet',
+				source: 'remark-mdx-snippets',
+			})
+		);
+	}
+
+	return {unused, missing, messages};
+}
@@ -0,0 +1,29 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+/**
+ * Read a JSON cache file, if there is one
+ * @param {string} cachePath - Cache file
+ * @returns {Promise<any>}
+ */
+export async function readCacheFile(cachePath) {
+	try {
+		return JSON.parse(await fs.readFile(cachePath, 'utf8'));
+	} catch {
+		// A missing or corrupt file is a cache miss
+		return undefined;
+	}
+}
+
+/**
+ * Write a JSON cache file, replacing the old one atomically
+ * @param {string} cachePath - Cache file
+ * @param {unknown} value - Value to store
+ * @returns {Promise<void>}
+ */
+export async function writeCacheFile(cachePath, value) {
+	const temporaryPath = `${cachePath}.${process.pid}.tmp`;
+	await fs.mkdir(path.dirname(cachePath), {recursive: true});
+	await fs.writeFile(temporaryPath, JSON.stringify(value));
+	await fs.rename(temporaryPath, cachePath);
+}
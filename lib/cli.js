@@ -0,0 +1,368 @@
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import {glob} from 'tinyglobby';
+import {read} from 'to-vfile';
+import {auditSnippets, createSnippetGraph, expandSnippets} from '../index.js';
+import {isInside} from './path-guard.js';
+import {isRemoteUrl} from './resolvers.js';
+
+/**
+ * @typedef {import('vfile').VFile} VFile
+ * @typedef {import('../index.js').PluginOptions} PluginOptions
+ *
+ * @typedef {{write: (chunk: string) => unknown}} Output
+ *
+ * @typedef Io
+ * @property {string} [cwd] - Directory globs and relative paths are resolved from
+ * @property {Output} [stdout] - Where results are written
+ * @property {Output} [stderr] - Where problems are written
+ *
+ * @typedef {{'snippets-dir'?: string[], 'element-name'?: string, 'file-attribute'?: string, 'cache-dir'?: string, out?: string, ignore?: string[], help?: boolean}} Values
+ *
+ * @typedef Arguments
+ * @property {Values} values - Options by name
+ * @property {string[]} positionals - Command and operands
+ *
+ * @typedef Expanded
+ * @property {VFile} file - The document
+ * @property {string | undefined} value - Expanded markdown, unless expanding failed
+ *
+ * @typedef Search
+ * @property {string} cwd - Directory globs are resolved from
+ * @property {string[]} ignore - Globs of files that are not documents
+ * @property {string[]} [exclude] - Directories that hold no documents, such as the output of `flatten`
+ */
+
+const usage = `Usage: remark-mdx-snippets <command> [options]
+
+Commands:
+  flatten <glob...> --out <dir>  Write the files with every snippet inlined
+  check <glob...>                Fail on missing, circular or unused snippets
+  usages <snippet> [glob...]     List the files that include a snippet
+
+Options:
+  --snippets-dir <dir>     Directory to resolve snippets from, repeat for more (default: _snippets)
+  --element-name <name>    Element name of snippets (default: Snippet)
+  --file-attribute <name>  Attribute with the snippet path (default: file)
+  --cache-dir <dir>        Cache of remote snippets, they are never fetched
+  --out <dir>              Directory to write flattened files to, never searched for files
+  --ignore <glob>          Files that are not documents, repeat for more
+  -h, --help               Show this help
+`;
+
+/** Files searched by `usages` when no glob is given */
+const defaultPatterns = ['**/*.md', '**/*.mdx'];
+
+/**
+ * Check whether a file exists
+ * @param {string} filePath
+ * @returns {Promise<boolean>}
+ */
+async function exists(filePath) {
+	try {
+		await fs.access(filePath);
+		return true;
+	} catch {
+		return false;
+	}
+}
+
+/**
+ * Format a message for the terminal
+ * @param {string} cwd - Directory paths are shown relative to
+ * @param {VFile['messages'][number]} message
+ * @returns {string}
+ */
+function formatMessage(cwd, message) {
+	const file = message.file ? path.relative(cwd, message.file) : '<stdin>';
+	const place = message.line ? `:${message.line}:${message.column}` : '';
+	const rule = message.ruleId ? ` [${message.ruleId}]` : '';
+	return `${file}${place}: ${message.reason}${rule}\n`;
+}
+
+/**
+ * Expand every document matching the globs, one at a time
+ *
+ * Files in the snippet directories are snippets, not documents, and are
+ * skipped. A document that fails to expand is still returned, with the
+ * fatal message on the file.
+ *
+ * @param {string[]} patterns - Globs of documents
+ * @param {PluginOptions & {snippetsDir: string[]}} options
+ * @param {Search} search
+ * @returns {Promise<Expanded[]>}
+ */
+async function expandAll(patterns, options, {cwd, ignore, exclude = []}) {
+	const paths = await glob(patterns, {
+		cwd,
+		absolute: true,
+		ignore: ['**/node_modules/**', ...ignore],
+	});
+	const skipped = [...options.snippetsDir, ...exclude];
+	const documents = paths
+		.filter(
+			(filePath) => !skipped.some((directory) => isInside(directory, filePath))
+		)
+		.sort();
+
+	/** @type {Expanded[]} */
+	const results = [];
+
+	for (const documentPath of documents) {
+		const file = await read(documentPath, 'utf8');
+		/** @type {string | undefined} */
+		let value;
+
+		try {
+			({value} = await expandSnippets(file, options));
+		} catch {
+			// The fatal message is on the file and reported with the others
+		}
+
+		results.push({file, value});
+	}
+
+	return results;
+}
+
+/** Options that take a value, and whether they can be repeated */
+const valueOptions = new Map([
+	['snippets-dir', true],
+	['element-name', false],
+	['file-attribute', false],
+	['cache-dir', false],
+	['out', false],
+	['ignore', true],
+]);
+
+/**
+ * Parse command line arguments
+ *
+ * Options are `--name value` or `--name=value`, and everything after `--` is
+ * an operand. `util.parseArgs` is not used, it needs Node 16.17.
+ *
+ * @param {string[]} argv - Arguments, without the `node` and script paths
+ * @returns {Arguments}
+ */
+function parseArguments(argv) {
+	/** @type {Arguments} */
+	const args = {values: {}, positionals: []};
+
+	for (let index = 0; index < argv.length; index++) {
+		const arg = argv[index];
+
+		if (arg === '--') {
+			args.positionals.push(...argv.slice(index + 1));
+			break;
+		}
+
+		if (arg === '-h' || arg === '--help') {
+			args.values.help = true;
+			continue;
+		}
+
+		if (!arg.startsWith('-') || arg === '-') {
+			args.positionals.push(arg);
+			continue;
+		}
+
+		const [name, inline] = arg.replace(/^--/, '').split(/=(.*)/s);
+		const multiple = valueOptions.get(name);
+
+		if (!arg.startsWith('--') || multiple === undefined) {
+			throw new Error(`Unknown option '${arg}'`);
+		}
+
+		const value = inline ?? argv[++index];
+
+		if (value === undefined) {
+			throw new Error(`Option '--${name}' needs a value`);
+		}
+
+		/** @type {Record<string, unknown>} */
+		const values = args.values;
+		const previous = values[name];
+		values[name] = multiple
+			? [...(Array.isArray(previous) ? previous : []), value]
+			: value;
+	}
+
+	return args;
+}
+
+/**
+ * Run the command line interface
+ * @param {string[]} argv - Arguments, without the `node` and script paths
+ * @param {Io} [io]
+ * @returns {Promise<number>} - Exit code
+ */
+export async function run(argv, io = {}) {
+	const {
+		cwd = process.cwd(),
+		stdout = process.stdout,
+		stderr = process.stderr,
+	} = io;
+
+	/** @type {Arguments} */
+	let args;
+
+	try {
+		args = parseArguments(argv);
+	} catch (error) {
+		stderr.write(`${/** @type {Error} */ (error).message}\n\n${usage}`);
+		return 1;
+	}
+
+	const {values, positionals} = args;
+	const [command, ...operands] = positionals;
+
+	if (values.help || !command) {
+		(values.help ? stdout : stderr).write(usage);
+		return values.help ? 0 : 1;
+	}
+
+	const snippetsDir = (values['snippets-dir'] || ['_snippets']).map(
+		(directory) => path.resolve(cwd, directory)
+	);
+	const options = {
+		snippetsDir,
+		elementName: values['element-name'],
+		fileAttribute: values['file-attribute'],
+		cacheDir: values['cache-dir'] && path.resolve(cwd, values['cache-dir']),
+		// Only local snippets and cached remote ones, never the network
+		offline: true,
+	};
+	/** @type {Search} */
+	const search = {cwd, ignore: values.ignore || []};
+
+	if (command === 'flatten') {
+		if (operands.length === 0 || !values.out) {
+			stderr.write(`flatten needs a glob and --out\n\n${usage}`);
+			return 1;
+		}
+
+		const out = path.resolve(cwd, values.out);
+		let failed = false;
+
+		// Files written by an earlier run are not flattened again
+		for (const {file, value} of await expandAll(operands, options, {
+			...search,
+			exclude: [out],
+		})) {
+			for (const message of file.messages) {
+				stderr.write(formatMessage(cwd, message));
+			}
+
+			if (value === undefined) {
+				failed = true;
+				continue;
+			}
+
+			const target = path.join(out, path.relative(cwd, file.path));
+
+			// Pages keep their path relative to the working directory, so they must be inside it
+			if (!isInside(out, target)) {
+				stderr.write(
+					`${file.path}: outside the working directory, cannot write it to --out\n`
+				);
+				failed = true;
+				continue;
+			}
+
+			await fs.mkdir(path.dirname(target), {recursive: true});
+			await fs.writeFile(target, value);
+		}
+
+		return failed ? 1 : 0;
+	}
+
+	if (command === 'check') {
+		if (operands.length === 0) {
+			stderr.write(`check needs a glob\n\n${usage}`);
+			return 1;
+		}
+
+		const results = await expandAll(operands, options, search);
+		const {messages} = await auditSnippets(
+			results.map(({file}) => file),
+			{snippetsDir}
+		);
+		let problems = 0;
+
+		for (const {file} of results) {
+			for (const message of file.messages) {
+				stderr.write(formatMessage(cwd, message));
+				problems++;
+			}
+		}
+
+		// Missing snippets are already reported with the other messages of their document
+		for (const message of messages) {
+			if (message.ruleId === 'unused-snippet') {
+				stderr.write(formatMessage(cwd, message));
+				problems++;
+			}
+		}
+
+		stdout.write(
+			problems === 0
+				? `Checked ${results.length} files, no problems\n`
+				: `Checked ${results.length} files, ${problems} problems\n`
+		);
+		return problems === 0 ? 0 : 1;
+	}
+
+	if (command === 'usages') {
+		const [snippet, ...patterns] = operands;
+
+		if (!snippet) {
+			stderr.write(`usages needs a snippet\n\n${usage}`);
+			return 1;
+		}
+
+		const results = await expandAll(
+			patterns.length > 0 ? patterns : defaultPatterns,
+			options,
+			search
+		);
+		const graph = createSnippetGraph(results.map(({file}) => file));
+		// Like the `file` attribute, a path is looked up in the snippet directories too
+		const targets = isRemoteUrl(snippet)
+			? [snippet]
+			: [cwd, ...snippetsDir].map((directory) =>
+					path.resolve(directory, snippet)
+			  );
+		/** @type {Set<string>} */
+		const pages = new Set();
+		let found = false;
+
+		for (const target of targets) {
+			const dependents = graph.dependentsOf(target);
+
+			if (
+				dependents.length > 0 ||
+				(!isRemoteUrl(target) && (await exists(target)))
+			) {
+				found = true;
+			}
+
+			for (const page of dependents) {
+				pages.add(page);
+			}
+		}
+
+		if (!found) {
+			stderr.write(`No snippet found for "${snippet}"\n`);
+			return 1;
+		}
+
+		for (const page of [...pages].sort()) {
+			stdout.write(`${path.relative(cwd, page)}\n`);
+		}
+
+		return 0;
+	}
+
+	stderr.write(`Unknown command "${command}"\n\n${usage}`);
+	return 1;
+}
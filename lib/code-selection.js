@@ -0,0 +1,165 @@
+import {SnippetError} from './snippet-error.js';
+
+/**
+ * @typedef LineRange
+ * @property {number} start - First line, 1-indexed
+ * @property {number} end - Last line, inclusive
+ */
+
+/** Matches `#region name` / `#endregion` markers behind common comment styles */
+const regionMarkerPattern =
+	/^\s*(?:(?:\/\/+|\/\*+|<!--|--|;+|')\s*)?#(end)?region\b\s*(.*?)\s*(?:\*+\/|-->)?\s*$/;
+
+/**
+ * Split file content into lines, ignoring a single trailing newline
+ * @param {string} content - File content
+ * @returns {string[]}
+ */
+function splitLines(content) {
+	return content.replace(/\r?\n$/, '').split(/\r?\n/);
+}
+
+/**
+ * Parse a line range specification such as `10-24,40` or `5-`
+ * @param {string} spec - Comma separated lines and ranges
+ * @param {number} total - Number of lines in the file, used for open ranges
+ * @returns {LineRange[]}
+ */
+function parseLineRanges(spec, total) {
+	return spec.split(',').map((part) => {
+		const match = /^\s*(\d*)\s*(-)?\s*(\d*)\s*$/.exec(part);
+
+		if (!match || (!match[1] && !match[3])) {
+			throw new SnippetError(
+				`Invalid line range "${part.trim()}" in "${spec}"`,
+				'invalid-lines'
+			);
+		}
+
+		const start = match[1] ? Number(match[1]) : 1;
+		const end = match[3] ? Number(match[3]) : match[2] ? total : start;
+
+		return {start, end};
+	});
+}
+
+/**
+ * Check whether a line is a region start or end marker
+ * @param {string} line
+ * @returns {boolean}
+ */
+function isRegionMarker(line) {
+	return regionMarkerPattern.test(line);
+}
+
+/**
+ * Get the lines between `#region name` and its matching `#endregion`
+ * @param {string[]} lines - File lines
+ * @param {string} name - Region name
+ * @param {string} source - Snippet path, for error messages
+ * @returns {string[]}
+ */
+function selectRegion(lines, name, source) {
+	const start = lines.findIndex((line) => {
+		const match = regionMarkerPattern.exec(line);
+		return match !== null && !match[1] && match[2] === name;
+	});
+
+	if (start === -1) {
+		throw new SnippetError(
+			`Region "${name}" not found in ${source}`,
+			'missing-region'
+		);
+	}
+
+	let depth = 0;
+
+	for (let index = start + 1; index < lines.length; index++) {
+		const match = regionMarkerPattern.exec(lines[index]);
+
+		if (!match) {
+			continue;
+		}
+
+		if (!match[1]) {
+			depth++;
+		} else if (depth === 0) {
+			return lines.slice(start + 1, index);
+		} else {
+			depth--;
+		}
+	}
+
+	throw new SnippetError(
+		`Region "${name}" in ${source} has no matching #endregion`,
+		'missing-region'
+	);
+}
+
+/**
+ * Remove the common leading indentation of all non-blank lines
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+function dedent(lines) {
+	let indent = Infinity;
+
+	for (const line of lines) {
+		if (line.trim() === '') {
+			continue;
+		}
+
+		const leading = /^[ \t]*/.exec(line);
+		indent = Math.min(indent, leading ? leading[0].length : 0);
+	}
+
+	if (indent === Infinity || indent === 0) {
+		return lines;
+	}
+
+	return lines.map((line) => line.slice(Math.min(indent, line.length)));
+}
+
+/**
+ * Select part of a code snippet by region and/or line ranges
+ *
+ * The region is applied first, line numbers are then relative to it. Region
+ * markers are removed from the result and the common indentation stripped.
+ *
+ * @param {string} content - File content
+ * @param {{lines?: string | null, region?: string | null}} selection - Requested part of the file
+ * @param {string} source - Snippet path, for error messages
+ * @returns {string}
+ */
+export function selectCode(content, selection, source) {
+	const {lines: lineSpec, region} = selection;
+	let lines = splitLines(content);
+
+	if (region) {
+		lines = selectRegion(lines, region, source);
+	}
+
+	if (lineSpec) {
+		const total = lines.length;
+		const ranges = parseLineRanges(lineSpec, total);
+		/** @type {string[]} */
+		const selected = [];
+
+		for (const {start, end} of ranges) {
+			if (start < 1 || end > total || start > end) {
+				throw new SnippetError(
+					`Line range "${start}-${end}" is outside of ${source}${
+						region ? ` region "${region}"` : ''
+					} (${total} lines)`,
+					'invalid-lines'
+				);
+			}
+
+			selected.push(...lines.slice(start - 1, end));
+		}
+
+		lines = selected;
+	}
+
+	return dedent(lines.filter((line) => !isRegionMarker(line))).join('\n');
+}
@@ -0,0 +1,318 @@
+import {getAttributeValue, isElement} from './attributes.js';
+import {SnippetError} from './snippet-error.js';
+
+/**
+ * @typedef {import('mdast').Root} Root
+ *
+ * @typedef {Record<string, unknown>} ConditionScope
+ *
+ * @typedef {{type: 'operator' | 'literal' | 'name', value: any}} Token
+ */
+
+/** Matches one token of a condition */
+const tokenPattern =
+	/\s*(?:(===|!==|==|!=|&&|\|\||!|\(|\))|'((?:[^'\\]|\\.)*)'|"((?:[^"\\]|\\.)*)"|(-?\d+(?:\.\d+)?)\b|([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*))\s*/y;
+
+/** Names with a fixed value */
+const constants = new Map([
+	['true', true],
+	['false', false],
+	['null', null],
+	['undefined', undefined],
+]);
+
+/**
+ * Split a condition into tokens
+ * @param {string} source - Condition, e.g. `edition === 'cloud' && !legacy`
+ * @returns {Token[]}
+ */
+function tokenize(source) {
+	/** @type {Token[]} */
+	const tokens = [];
+	tokenPattern.lastIndex = 0;
+
+	while (tokenPattern.lastIndex < source.length) {
+		const start = tokenPattern.lastIndex;
+		const match = tokenPattern.exec(source);
+
+		if (!match) {
+			throw new SnippetError(
+				`Invalid condition "${source}": unexpected "${source.slice(start)}"`,
+				'invalid-condition'
+			);
+		}
+
+		const [, operator, single, double, number, name] = match;
+
+		if (operator) {
+			tokens.push({type: 'operator', value: operator});
+		} else if (single !== undefined || double !== undefined) {
+			const quoted = single === undefined ? double : single;
+			tokens.push({type: 'literal', value: quoted.replace(/\\(.)/g, '$1')});
+		} else if (number) {
+			tokens.push({type: 'literal', value: Number(number)});
+		} else if (constants.has(name)) {
+			tokens.push({type: 'literal', value: constants.get(name)});
+		} else if (name) {
+			tokens.push({type: 'name', value: name});
+		}
+	}
+
+	return tokens;
+}
+
+/**
+ * Look up a dotted name, such as `edition` or `props.manager`
+ * @param {string} name
+ * @param {ConditionScope} scope
+ * @returns {unknown}
+ */
+function lookup(name, scope) {
+	/** @type {any} */
+	let value = scope;
+
+	for (const key of name.split('.')) {
+		if (value === null || value === undefined) {
+			return undefined;
+		}
+
+		value = Object.prototype.hasOwnProperty.call(value, key)
+			? value[key]
+			: undefined;
+	}
+
+	return value;
+}
+
+/**
+ * Check whether a value counts as true, `"false"` and `""` from attributes do not
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+function isTruthy(value) {
+	return Boolean(value) && value !== 'false';
+}
+
+/**
+ * Compare two values, strings from attributes equal the numbers and booleans they spell
+ * @param {unknown} a
+ * @param {unknown} b
+ * @returns {boolean}
+ */
+function isEqual(a, b) {
+	return (
+		a === b ||
+		(a !== null &&
+			a !== undefined &&
+			b !== null &&
+			b !== undefined &&
+			String(a) === String(b))
+	);
+}
+
+/**
+ * Evaluate a condition
+ *
+ * Conditions support names, string, number and boolean literals, `===`,
+ * `!==`, `==`, `!=`, `!`, `&&`, `||` and parentheses. Nothing is executed as
+ * JavaScript.
+ *
+ * @param {string} source - Condition, e.g. `edition === 'cloud' && !legacy`
+ * @param {ConditionScope} scope - Values names are looked up in
+ * @returns {boolean}
+ */
+export function evaluateCondition(source, scope) {
+	const tokens = tokenize(source);
+	let index = 0;
+
+	/**
+	 * @param {string} [message]
+	 * @returns {never}
+	 */
+	const fail = (message = 'unexpected end') => {
+		throw new SnippetError(
+			`Invalid condition "${source}": ${message}`,
+			'invalid-condition'
+		);
+	};
+
+	/**
+	 * @param {string} operator
+	 * @returns {boolean}
+	 */
+	const accept = (operator) => {
+		const token = tokens[index];
+
+		if (token && token.type === 'operator' && token.value === operator) {
+			index++;
+			return true;
+		}
+
+		return false;
+	};
+
+	/** @returns {unknown} */
+	const operand = () => {
+		const token = tokens[index++];
+
+		if (!token) {
+			return fail();
+		}
+
+		if (token.type === 'literal') {
+			return token.value;
+		}
+
+		if (token.type === 'name') {
+			return lookup(token.value, scope);
+		}
+
+		if (token.value === '(') {
+			const value = or();
+
+			if (!accept(')')) {
+				fail('missing ")"');
+			}
+
+			return value;
+		}
+
+		if (token.value === '!') {
+			return !isTruthy(operand());
+		}
+
+		return fail(`unexpected "${token.value}"`);
+	};
+
+	/** @returns {unknown} */
+	const comparison = () => {
+		const left = operand();
+
+		for (const operator of ['===', '==', '!==', '!=']) {
+			if (accept(operator)) {
+				const equal = isEqual(left, operand());
+				return operator.startsWith('!') ? !equal : equal;
+			}
+		}
+
+		return left;
+	};
+
+	/** @returns {unknown} */
+	const and = () => {
+		let value = isTruthy(comparison());
+
+		while (accept('&&')) {
+			value = isTruthy(comparison()) && value;
+		}
+
+		return value;
+	};
+
+	/** @returns {unknown} */
+	const or = () => {
+		let value = isTruthy(and());
+
+		while (accept('||')) {
+			value = isTruthy(and()) || value;
+		}
+
+		return value;
+	};
+
+	const result = or();
+
+	if (index < tokens.length) {
+		fail(`unexpected "${tokens[index].value}"`);
+	}
+
+	return isTruthy(result);
+}
+
+/**
+ * Get the source of a condition attribute, empty when it is missing or bare
+ * @param {string | true | null} value - Attribute value
+ * @returns {string}
+ */
+function toSource(value) {
+	return typeof value === 'string' ? value : '';
+}
+
+/**
+ * Drop the branches of a snippet whose condition does not hold
+ *
+ * `<If condition="…">` keeps its children when the condition holds, an
+ * `<Else>` right after it when it does not. Any other element with an `if`
+ * attribute, nested snippets included, is kept or dropped as a whole.
+ *
+ * @param {Root} tree - Parsed snippet, modified in place
+ * @param {ConditionScope} scope - Props and variables
+ */
+export function applyConditions(tree, scope) {
+	/**
+	 * Apply conditions to the children of a node
+	 * @param {any} parent
+	 */
+	const walk = (parent) => {
+		/** @type {any[]} */
+		const children = [];
+		/** @type {boolean | undefined} */
+		let previous;
+
+		/**
+		 * Keep the children of an `<If>` or `<Else>` without the element
+		 * @param {any} node
+		 * @returns {any[]}
+		 */
+		const unwrap = (node) => {
+			walk(node);
+			return node.children;
+		};
+
+		for (const child of parent.children) {
+			/** @type {boolean | undefined} */
+			let branch;
+
+			if (isElement(child, 'If')) {
+				branch = evaluateCondition(
+					toSource(getAttributeValue(child.attributes, 'condition')),
+					scope
+				);
+				children.push(...(branch ? unwrap(child) : []));
+			} else if (isElement(child, 'Else') && previous !== undefined) {
+				children.push(...(previous ? [] : unwrap(child)));
+			} else if (child.type === 'text' && child.value.trim() === '') {
+				// Whitespace between `</If>` and `<Else>` in inline content
+				branch = previous;
+				children.push(child);
+			} else {
+				const condition = isElement(child)
+					? getAttributeValue(child.attributes, 'if')
+					: null;
+
+				if (condition !== null) {
+					child.attributes = child.attributes.filter(
+						(/** @type {any} */ attr) => attr.name !== 'if'
+					);
+				}
+
+				if (
+					condition === null ||
+					evaluateCondition(toSource(condition), scope)
+				) {
+					if (Array.isArray(child.children)) {
+						walk(child);
+					}
+
+					children.push(child);
+				}
+			}
+
+			previous = branch;
+		}
+
+		parent.children = children;
+	};
+
+	walk(tree);
+}
@@ -0,0 +1,312 @@
+import {parse, stringify} from 'yaml';
+import {SnippetError} from './snippet-error.js';
+
+/** Extensions of data files */
+const dataExtensions = new Set(['json', 'yaml', 'yml', 'csv']);
+
+/** Ways data can be rendered with `as` */
+export const dataFormats = new Set(['table', 'list']);
+
+/** Matches one step of a selector: `.name`, `name`, `[0]` or `["name"]` */
+const selectorPattern =
+	/\.?([A-Za-z_$][\w$-]*)|\[\s*(\d+)\s*\]|\[\s*(['"])((?:(?!\3).)*)\3\s*\]/y;
+
+/**
+ * Check whether a file extension is a data file
+ * @param {string} extension - File extension, without dot
+ * @returns {boolean}
+ */
+export function isDataExtension(extension) {
+	return dataExtensions.has(extension);
+}
+
+/**
+ * Check whether a value is an object or an array with entries
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown> | unknown[]}
+ */
+function isNested(value) {
+	return (
+		typeof value === 'object' && value !== null && Object.keys(value).length > 0
+	);
+}
+
+/**
+ * Parse CSV into one object per row, keyed by the header row
+ *
+ * Fields may be quoted with `"`, with `""` for a quote inside them. Blank
+ * lines are skipped.
+ *
+ * @param {string} content
+ * @returns {Record<string, string>[]}
+ */
+function parseCsv(content) {
+	/** @type {string[][]} */
+	const rows = [];
+	/** @type {string[]} */
+	let row = [];
+	let field = '';
+	let quoted = false;
+
+	const endRow = () => {
+		row.push(field);
+
+		if (row.length > 1 || row[0] !== '') {
+			rows.push(row);
+		}
+
+		row = [];
+		field = '';
+	};
+
+	for (let index = 0; index < content.length; index++) {
+		const character = content[index];
+
+		if (quoted) {
+			if (character !== '"') {
+				field += character;
+			} else if (content[index + 1] === '"') {
+				field += '"';
+				index++;
+			} else {
+				quoted = false;
+			}
+		} else if (character === '"' && field === '') {
+			quoted = true;
+		} else if (character === ',') {
+			row.push(field);
+			field = '';
+		} else if (character === '\n' || character === '\r') {
+			if (character === '\r' && content[index + 1] === '\n') {
+				index++;
+			}
+
+			endRow();
+		} else {
+			field += character;
+		}
+	}
+
+	if (quoted) {
+		throw new Error('unterminated quoted field');
+	}
+
+	endRow();
+
+	const [header = [], ...records] = rows;
+	return records.map((record) =>
+		Object.fromEntries(header.map((name, index) => [name, record[index] ?? '']))
+	);
+}
+
+/**
+ * Parse a JSON, YAML or CSV data file
+ * @param {string} content - Content of the file
+ * @param {string} extension - File extension, without dot
+ * @param {string} source - Snippet specifier, for error messages
+ * @returns {unknown}
+ */
+export function parseData(content, extension, source) {
+	try {
+		if (extension === 'json') {
+			return JSON.parse(content);
+		}
+
+		return extension === 'csv' ? parseCsv(content) : parse(content);
+	} catch (error) {
+		throw new SnippetError(
+			`Invalid data in ${source}: ${
+				error instanceof Error ? error.message : String(error)
+			}`,
+			'invalid-data',
+			error
+		);
+	}
+}
+
+/**
+ * Select a value from parsed data
+ * @param {unknown} data - Parsed data file
+ * @param {string} selector - Path to the value, e.g. `plans[0].limits`
+ * @param {string} source - Snippet specifier, for error messages
+ * @returns {unknown}
+ */
+export function selectData(data, selector, source) {
+	/** @type {any} */
+	let value = data;
+	selectorPattern.lastIndex = 0;
+
+	while (selectorPattern.lastIndex < selector.length) {
+		const start = selectorPattern.lastIndex;
+		const match = selectorPattern.exec(selector);
+
+		if (!match) {
+			throw new SnippetError(
+				`Invalid select "${selector}" for snippet "${source}": unexpected "${selector.slice(
+					start
+				)}"`,
+				'invalid-data'
+			);
+		}
+
+		const key = match[1] ?? match[2] ?? match[4];
+
+		if (
+			typeof value !== 'object' ||
+			value === null ||
+			!Object.prototype.hasOwnProperty.call(value, key)
+		) {
+			throw new SnippetError(
+				`Nothing at "${selector}" in snippet "${source}"`,
+				'missing-data'
+			);
+		}
+
+		value = value[key];
+	}
+
+	return value;
+}
+
+/**
+ * Format a value for a table cell or list item
+ * @param {unknown} value
+ * @returns {string}
+ */
+function formatValue(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+
+	return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Create a table row
+ * @param {unknown[]} values
+ * @returns {any}
+ */
+function createRow(values) {
+	return {
+		type: 'tableRow',
+		children: values.map((value) => ({
+			type: 'tableCell',
+			children: [{type: 'text', value: formatValue(value)}],
+		})),
+	};
+}
+
+/**
+ * Render data as a GFM table
+ *
+ * A list of objects gets a column per key, a list of lists uses its first
+ * row as header, and an object gets a row per key.
+ *
+ * @param {unknown} data
+ * @returns {any}
+ */
+function toTable(data) {
+	/** @type {unknown[]} */
+	let header;
+	/** @type {unknown[][]} */
+	let rows;
+
+	if (Array.isArray(data) && data.every((row) => Array.isArray(row))) {
+		[header = [], ...rows] = data;
+	} else if (Array.isArray(data)) {
+		/** @type {Set<string>} */
+		const keys = new Set();
+
+		for (const row of data) {
+			for (const key of isNested(row) ? Object.keys(row) : ['value']) {
+				keys.add(key);
+			}
+		}
+
+		header = [...keys];
+		rows = data.map((row) =>
+			isNested(row)
+				? header.map((key) => /** @type {any} */ (row)[String(key)])
+				: [row]
+		);
+	} else {
+		header = ['key', 'value'];
+		rows = isNested(data) ? Object.entries(data) : [['', data]];
+	}
+
+	return {
+		type: 'table',
+		align: header.map(() => null),
+		children: [createRow(header), ...rows.map((row) => createRow(row))],
+	};
+}
+
+/**
+ * Render data as a list, nested values as nested lists
+ * @param {unknown} data
+ * @returns {any}
+ */
+function toList(data) {
+	/** @type {Array<[string | undefined, unknown]>} */
+	const entries = Array.isArray(data)
+		? data.map((item) => [undefined, item])
+		: isNested(data)
+		? Object.entries(data)
+		: [[undefined, data]];
+
+	return {
+		type: 'list',
+		ordered: false,
+		spread: false,
+		children: entries.map(([key, value]) => {
+			const nested = isNested(value);
+			/** @type {any[]} */
+			const phrasing = [];
+
+			if (key !== undefined) {
+				phrasing.push({type: 'strong', children: [{type: 'text', value: key}]});
+			}
+
+			if (!nested) {
+				phrasing.push({
+					type: 'text',
+					value: (key === undefined ? '' : ': ') + formatValue(value),
+				});
+			}
+
+			return {
+				type: 'listItem',
+				spread: false,
+				checked: null,
+				children: [
+					...(phrasing.length > 0
+						? [{type: 'paragraph', children: phrasing}]
+						: []),
+					...(nested ? [toList(value)] : []),
+				],
+			};
+		}),
+	};
+}
+
+/**
+ * Render data as markdown
+ * @param {unknown} data - Parsed, and maybe selected, data
+ * @param {string} format - Value of the `as` attribute, one of `dataFormats`
+ * @returns {any}
+ */
+export function renderData(data, format) {
+	return format === 'table' ? toTable(data) : toList(data);
+}
+
+/**
+ * Serialize selected data for a code block, in the format of its file
+ * @param {unknown} data
+ * @param {string} extension - File extension, without dot
+ * @returns {{lang: string, value: string}}
+ */
+export function serializeData(data, extension) {
+	return extension === 'yaml' || extension === 'yml'
+		? {lang: extension, value: stringify(data).trimEnd()}
+		: {lang: 'json', value: JSON.stringify(data, null, 2)};
+}
@@ -0,0 +1,86 @@
+import {createHash} from 'node:crypto';
+import path from 'node:path';
+import {readCacheFile, writeCacheFile} from './cache-file.js';
+
+/**
+ * @typedef {import('mdast').Root} Root
+ *
+ * @typedef ExpandedEntry
+ * @property {Root} tree - Expanded snippet, before it is fitted into the page
+ * @property {Record<string, string>} dependencies - Content hash of every nested snippet, by resolved path or URL
+ *
+ * @typedef CacheStats
+ * Use of the expanded snippet cache in a run, stored on `file.data.snippetCache`
+ * @property {number} hits - Snippets taken from the cache
+ * @property {number} misses - Snippets expanded and stored in the cache
+ *
+ * @typedef ExpandedCache
+ * @property {(parts: Record<string, unknown>) => string} key - Key for an include, from the content hash of the snippet and what the include changes
+ * @property {(key: string) => Promise<ExpandedEntry | undefined>} get - Read an entry, if there is one
+ * @property {(key: string, entry: ExpandedEntry) => Promise<void>} set - Store an entry
+ */
+
+/** Bumped when the format of entries changes, so old entries are not used */
+const version = 1;
+
+/**
+ * Hash a string
+ * @param {string} value
+ * @returns {string}
+ */
+export function hashContent(value) {
+	return createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Create a cache of expanded snippets in `cacheDir`, kept across builds
+ *
+ * Keys include a hash of the plugin options. Functions in the options, such
+ * as resolvers and plugins of the `processor`, are hashed by their source, so
+ * clear the cache after updating the packages they come from.
+ *
+ * @param {string} cacheDir - Cache directory
+ * @param {object} options - Plugin options
+ * @returns {ExpandedCache}
+ */
+export function createExpandedCache(cacheDir, options) {
+	const optionsHash = hashContent(
+		JSON.stringify(options, (_, value) => {
+			if (typeof value !== 'function') {
+				return value;
+			}
+
+			// A unified processor is hashed by its plugins and their options
+			return Array.isArray(value.attachers)
+				? value.attachers.map(
+						(/** @type {any[]} */ [plugin, ...parameters]) => [
+							String(plugin),
+							...parameters,
+						]
+				  )
+				: String(value);
+		})
+	);
+
+	/**
+	 * @param {string} key
+	 * @returns {string}
+	 */
+	const getCachePath = (key) => path.join(cacheDir, 'expanded', `${key}.json`);
+
+	return {
+		key(parts) {
+			return hashContent(JSON.stringify({version, optionsHash, ...parts}));
+		},
+		async get(key) {
+			return readCacheFile(getCachePath(key));
+		},
+		async set(key, entry) {
+			try {
+				await writeCacheFile(getCachePath(key), entry);
+			} catch {
+				// The cache only speeds up builds, a failed write is a later miss
+			}
+		},
+	};
+}
@@ -0,0 +1,153 @@
+import {parse} from 'yaml';
+import {SnippetError} from './snippet-error.js';
+
+/**
+ * @typedef {import('mdast').Root} Root
+ * @typedef {import('./props.js').SnippetProps} SnippetProps
+ *
+ * @typedef PropDefinition
+ * @property {boolean} [required] - Whether every `<Snippet>` must pass the prop
+ * @property {unknown} [default] - Value used when the prop is not passed
+ * @property {unknown[]} [enum] - Allowed values
+ *
+ * @typedef {Record<string, PropDefinition>} PropsSchema
+ *
+ * @typedef PropProblem
+ * @property {string} reason - Human readable reason
+ * @property {string} ruleId - Rule reported alongside the message
+ */
+
+/**
+ * Check whether a value is a plain object
+ * @param {unknown} value
+ * @returns {value is Record<string, unknown>}
+ */
+function isObject(value) {
+	return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Read and remove the YAML frontmatter of a parsed snippet
+ *
+ * Returns the `props` declared in it, if any. A snippet without frontmatter,
+ * or without `props` in it, accepts any prop.
+ *
+ * @param {Root} tree - Parsed snippet, modified in place
+ * @param {string} source - Snippet path, for error messages
+ * @returns {PropsSchema | undefined}
+ */
+export function readPropsSchema(tree, source) {
+	const [first] = tree.children;
+
+	if (!first || /** @type {any} */ (first).type !== 'yaml') {
+		return undefined;
+	}
+
+	tree.children.shift();
+
+	/** @type {unknown} */
+	let data;
+
+	try {
+		data = parse(/** @type {any} */ (first).value);
+	} catch (error) {
+		throw new SnippetError(
+			`Invalid frontmatter in ${source}: ${
+				error instanceof Error ? error.message : String(error)
+			}`,
+			'invalid-frontmatter',
+			error
+		);
+	}
+
+	if (!isObject(data) || data.props === undefined) {
+		return undefined;
+	}
+
+	if (!isObject(data.props)) {
+		throw new SnippetError(
+			`Invalid frontmatter in ${source}: "props" must map prop names to their definition`,
+			'invalid-frontmatter'
+		);
+	}
+
+	/** @type {PropsSchema} */
+	const schema = {};
+
+	for (const [name, definition] of Object.entries(data.props)) {
+		// `name:` without a definition declares an optional prop
+		if (definition !== null && !isObject(definition)) {
+			throw new SnippetError(
+				`Invalid frontmatter in ${source}: prop "${name}" must be an object`,
+				'invalid-frontmatter'
+			);
+		}
+
+		schema[name] = definition || {};
+	}
+
+	return schema;
+}
+
+/**
+ * Validate the props passed to a snippet against its schema and apply defaults
+ *
+ * Optional props without a default are empty, so the snippet can use them
+ * without the `<Snippet>` passing them.
+ *
+ * @param {PropsSchema} schema - Props declared by the snippet
+ * @param {SnippetProps} props - Props passed to the snippet
+ * @param {string} source - Snippet specifier, for messages
+ * @returns {{props: SnippetProps, problems: PropProblem[]}}
+ */
+export function applyPropsSchema(schema, props, source) {
+	/** @type {SnippetProps} */
+	const result = {};
+	/** @type {PropProblem[]} */
+	const problems = [];
+	const names = Object.keys(schema);
+
+	for (const [name, value] of Object.entries(props)) {
+		if (!Object.prototype.hasOwnProperty.call(schema, name)) {
+			problems.push({
+				reason: `Unknown prop "${name}" for snippet "${source}", expected one of: ${names.join(
+					', '
+				)}`,
+				ruleId: 'unknown-prop',
+			});
+		}
+
+		result[name] = value;
+	}
+
+	for (const [name, definition] of Object.entries(schema)) {
+		if (!Object.prototype.hasOwnProperty.call(props, name)) {
+			if (definition.required) {
+				problems.push({
+					reason: `Missing required prop "${name}" for snippet "${source}"`,
+					ruleId: 'missing-prop',
+				});
+			} else {
+				result[name] = 'default' in definition ? definition.default : '';
+			}
+
+			continue;
+		}
+
+		const value = props[name];
+
+		if (
+			Array.isArray(definition.enum) &&
+			!definition.enum.some((allowed) => String(allowed) === String(value))
+		) {
+			problems.push({
+				reason: `Invalid value "${value}" for prop "${name}" of snippet "${source}", expected one of: ${definition.enum.join(
+					', '
+				)}`,
+				ruleId: 'invalid-prop',
+			});
+		}
+	}
+
+	return {props: result, problems};
+}
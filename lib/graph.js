@@ -0,0 +1,117 @@
+import path from 'node:path';
+import {isRemoteUrl} from './resolvers.js';
+
+/**
+ * @typedef {import('vfile').VFile} VFile
+ *
+ * @typedef SnippetGraph
+ * @property {(file: VFile) => void} add - Add or update a processed document, using its `file.data.snippetDependencies`
+ * @property {(document: string, dependencies: Iterable<string>) => void} set - Add or update a document with the given snippets
+ * @property {(document: string) => boolean} delete - Remove a document, returns whether it was in the graph
+ * @property {(document: string) => string[]} dependenciesOf - Snippets a document includes, directly or through other snippets
+ * @property {(snippet: string) => string[]} dependentsOf - Documents that include a snippet, directly or through other snippets
+ * @property {() => string[]} documents - Documents in the graph
+ */
+
+/**
+ * Normalize a path or URL so lookups match the recorded dependencies
+ * @param {string} filePath - Path, relative to the working directory, or URL
+ * @returns {string}
+ */
+function normalize(filePath) {
+	return isRemoteUrl(filePath) ? filePath : path.resolve(filePath);
+}
+
+/**
+ * Create a graph of which documents include which snippets
+ *
+ * Feed it processed files to find the pages to rebuild when a snippet
+ * changes. Dependencies are transitive, a document depends on the snippets
+ * its snippets include too.
+ *
+ * @param {Iterable<VFile>} [files] - Processed documents to start with
+ * @returns {SnippetGraph}
+ */
+export function createSnippetGraph(files = []) {
+	/** @type {Map<string, Set<string>>} */
+	const dependencies = new Map();
+	/** @type {Map<string, Set<string>>} */
+	const dependents = new Map();
+
+	/** @type {SnippetGraph['delete']} */
+	const remove = (document) => {
+		const key = normalize(document);
+		const snippets = dependencies.get(key);
+
+		if (!snippets) {
+			return false;
+		}
+
+		for (const snippet of snippets) {
+			const documents = /** @type {Set<string>} */ (dependents.get(snippet));
+			documents.delete(key);
+
+			if (documents.size === 0) {
+				dependents.delete(snippet);
+			}
+		}
+
+		dependencies.delete(key);
+		return true;
+	};
+
+	/** @type {SnippetGraph['set']} */
+	const set = (document, snippets) => {
+		const key = normalize(document);
+		const normalized = new Set(
+			[...snippets].map((snippet) => normalize(snippet))
+		);
+
+		remove(key);
+		dependencies.set(key, normalized);
+
+		for (const snippet of normalized) {
+			let documents = dependents.get(snippet);
+
+			if (!documents) {
+				documents = new Set();
+				dependents.set(snippet, documents);
+			}
+
+			documents.add(key);
+		}
+	};
+
+	/** @type {SnippetGraph} */
+	const graph = {
+		add(file) {
+			if (!file.path) {
+				throw new Error(
+					'Cannot add a file without a path to the snippet graph'
+				);
+			}
+
+			set(
+				path.resolve(file.cwd, file.path),
+				/** @type {any} */ (file.data).snippetDependencies || []
+			);
+		},
+		set,
+		delete: remove,
+		dependenciesOf(document) {
+			return [...(dependencies.get(normalize(document)) || [])];
+		},
+		dependentsOf(snippet) {
+			return [...(dependents.get(normalize(snippet)) || [])];
+		},
+		documents() {
+			return [...dependencies.keys()];
+		},
+	};
+
+	for (const file of files) {
+		graph.add(file);
+	}
+
+	return graph;
+}
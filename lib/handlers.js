@@ -0,0 +1,96 @@
+/**
+ * @typedef {import('mdast').Root} Root
+ * @typedef {import('mdast').RootContent} RootContent
+ * @typedef {import('vfile').VFile} VFile
+ *
+ * @typedef HandlerContext
+ * @property {string} path - Resolved path or URL of the snippet
+ * @property {string} extension - Extension of the snippet, without dot
+ * @property {string} specifier - Value of the `file` attribute
+ * @property {Record<string, unknown>} props - Props passed to the snippet
+ * @property {VFile} file - The including file, to report messages on
+ *
+ * @typedef {(content: string, context: HandlerContext) => Root | RootContent | Promise<Root | RootContent>} CustomHandler
+ * Turn the content of a snippet into mdast
+ *
+ * @typedef {'markdown' | 'mdx' | 'code' | 'raw-html' | 'text'} HandlerName
+ * @typedef {HandlerName | CustomHandler} Handler
+ */
+
+/** Built-in ways of including a snippet, for the `extensions` option and `as` */
+export const handlerNames = new Set([
+	'markdown',
+	'mdx',
+	'code',
+	'raw-html',
+	'text',
+]);
+
+/**
+ * Handlers of extensions that are not code
+ *
+ * `mdx` parses local `.md` snippets as MDX too, so they can include snippets.
+ *
+ * @type {Record<string, Handler>}
+ */
+const defaultExtensions = {
+	md: 'mdx',
+	mdx: 'mdx',
+	markdown: 'markdown',
+	mdown: 'markdown',
+	txt: 'text',
+	html: 'raw-html',
+};
+
+/**
+ * Create the map of extensions to handlers, the defaults overridden by the `extensions` option
+ * @param {Record<string, Handler>} extensions - Handlers by extension, with or without dot
+ * @returns {Map<string, Handler>}
+ */
+export function createExtensionMap(extensions) {
+	/** @type {Map<string, Handler>} */
+	const map = new Map();
+
+	for (const [extension, handler] of Object.entries({
+		...defaultExtensions,
+		...extensions,
+	})) {
+		if (typeof handler !== 'function' && !handlerNames.has(handler)) {
+			throw new TypeError(
+				`Expected the handler of "${extension}" to be a function or one of: ${[
+					...handlerNames,
+				].join(', ')}, got ${handler}`
+			);
+		}
+
+		map.set(extension.replace(/^\./, '').toLowerCase(), handler);
+	}
+
+	return map;
+}
+
+/**
+ * Include text as paragraphs, split on blank lines
+ * @param {string} content
+ * @returns {Root}
+ */
+export function toText(content) {
+	return {
+		type: 'root',
+		children: content
+			.split(/\r?\n(?:[ \t]*\r?\n)+/)
+			.map((value) => value.trim())
+			.filter(Boolean)
+			.map((value) => ({type: 'paragraph', children: [{type: 'text', value}]})),
+	};
+}
+
+/**
+ * Include HTML as is
+ * @param {string} content
+ * @returns {Root}
+ */
+export function toRawHtml(content) {
+	const value = content.trim();
+	return {type: 'root', children: value ? [{type: 'html', value}] : []};
+}
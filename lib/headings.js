@@ -0,0 +1,71 @@
+import {visit} from 'unist-util-visit';
+import {SnippetError} from './snippet-error.js';
+
+/**
+ * @typedef {import('mdast').Root} Root
+ *
+ * @typedef {number | 'auto'} HeadingOffset
+ */
+
+/**
+ * Parse a `headingOffset` attribute or option
+ * @param {unknown} value - Number of levels, or `auto` to nest under the parent heading
+ * @returns {HeadingOffset}
+ */
+export function parseHeadingOffset(value) {
+	if (
+		value === 'auto' ||
+		(typeof value === 'number' && Number.isInteger(value))
+	) {
+		return value;
+	}
+
+	if (typeof value === 'string' && /^\s*[+-]?\d+\s*$/.test(value)) {
+		return Number(value);
+	}
+
+	throw new SnippetError(
+		`Invalid headingOffset "${value}", expected a whole number or "auto"`,
+		'invalid-heading-offset'
+	);
+}
+
+/**
+ * Shift the depth of every heading in an included tree
+ *
+ * With `auto`, the shallowest heading of the snippet ends up one level below
+ * the heading the snippet is placed under; without a parent heading nothing
+ * changes. Depths are clamped between 1 and 6.
+ *
+ * @param {Root} tree - Expanded snippet, including its nested snippets
+ * @param {HeadingOffset} offset - Levels to shift by
+ * @param {number} parentDepth - Depth of the heading above the snippet element, 0 if there is none
+ */
+export function shiftHeadings(tree, offset, parentDepth) {
+	let shift = offset;
+
+	if (shift === 'auto') {
+		let shallowest = Infinity;
+
+		visit(tree, 'heading', (node) => {
+			shallowest = Math.min(shallowest, node.depth);
+		});
+
+		shift =
+			parentDepth === 0 || shallowest === Infinity
+				? 0
+				: parentDepth + 1 - shallowest;
+	}
+
+	if (shift === 0) {
+		return;
+	}
+
+	const levels = shift;
+
+	visit(tree, 'heading', (node) => {
+		node.depth = /** @type {1 | 2 | 3 | 4 | 5 | 6} */ (
+			Math.min(6, Math.max(1, node.depth + levels))
+		);
+	});
+}
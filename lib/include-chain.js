@@ -0,0 +1,50 @@
+import path from 'node:path';
+
+/**
+ * @typedef {import('unist').Position} Position
+ *
+ * @typedef IncludeLink
+ * @property {string} path - Resolved path or URL of the file
+ * @property {Position} [position] - Position of the snippet element that included this file, in the previous file
+ *
+ * @typedef {IncludeLink[]} IncludeChain
+ */
+
+/**
+ * Get a short, human readable name for a file in the include chain
+ * @param {string} filePath - Resolved path or URL
+ * @returns {string}
+ */
+function displayPath(filePath) {
+	if (/^https?:\/\//.test(filePath) || !path.isAbsolute(filePath)) {
+		return filePath;
+	}
+
+	return path.relative(process.cwd(), filePath) || filePath;
+}
+
+/**
+ * Format an include chain for error messages
+ *
+ * The first line shows the chain (`a.mdx → b.mdx → a.mdx`), followed by one
+ * line per include with the position of the snippet element that caused it.
+ *
+ * @param {IncludeChain} chain - Files from the root document to the offending include
+ * @returns {string}
+ */
+export function formatIncludeChain(chain) {
+	const lines = [chain.map((link) => displayPath(link.path)).join(' → ')];
+
+	for (let index = 1; index < chain.length; index++) {
+		const from = chain[index - 1];
+		const to = chain[index];
+		const start = to.position?.start;
+		const place = start ? `:${start.line}:${start.column}` : '';
+
+		lines.push(
+			`  ${displayPath(from.path)}${place} includes ${displayPath(to.path)}`
+		);
+	}
+
+	return lines.join('\n');
+}
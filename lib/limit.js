@@ -0,0 +1,44 @@
+/**
+ * @typedef {<T>(task: () => Promise<T>) => Promise<T>} Limiter
+ */
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at the same time
+ *
+ * Tasks over the limit wait in order until a running one settles.
+ *
+ * @param {number} concurrency - Maximum number of running tasks, `Infinity` for no limit
+ * @returns {Limiter}
+ */
+export function createLimiter(concurrency) {
+	if (!(concurrency >= 1)) {
+		throw new TypeError(
+			`Expected concurrency to be a number of 1 or more, got ${concurrency}`
+		);
+	}
+
+	let active = 0;
+	/** @type {Array<() => void>} */
+	const waiting = [];
+
+	const next = () => {
+		if (active < concurrency && waiting.length > 0) {
+			active++;
+			/** @type {() => void} */ (waiting.shift())();
+		}
+	};
+
+	return (task) =>
+		new Promise((resolve, reject) => {
+			waiting.push(() => {
+				Promise.resolve()
+					.then(task)
+					.then(resolve, reject)
+					.finally(() => {
+						active--;
+						next();
+					});
+			});
+			next();
+		});
+}
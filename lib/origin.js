@@ -0,0 +1,50 @@
+import {visit} from 'unist-util-visit';
+
+/**
+ * @typedef {import('unist').Node} Node
+ * @typedef {import('unist').Position} Position
+ *
+ * @typedef SnippetOrigin
+ * Where a node that was inserted by a snippet comes from, stored on `node.data.snippet`
+ * @property {string} path - Resolved path or URL of the snippet file
+ * @property {string} url - URL of the snippet, `file:` for local snippets
+ * @property {string | undefined} includedFrom - Path of the file with the `<Snippet>` element, if it has one
+ * @property {Position | undefined} position - Position of the `<Snippet>` element in that file
+ */
+
+/**
+ * Record where the nodes of an expanded snippet come from
+ *
+ * Nodes from nested snippets already carry their own, closer origin and keep
+ * it. Node positions stay those in the snippet file, or with `remap` are
+ * replaced by the position of the `<Snippet>` element, so that tools which
+ * only know the page point at the include.
+ *
+ * @param {Node} tree - Expanded snippet
+ * @param {SnippetOrigin} origin - Where the snippet comes from
+ * @param {boolean} remap - Whether to move node positions onto the `<Snippet>` element
+ */
+export function markOrigin(tree, origin, remap) {
+	visit(tree, (node) => {
+		if (node === tree) {
+			return;
+		}
+
+		const data = node.data || (node.data = {});
+
+		if (!(/** @type {any} */ (data).snippet)) {
+			/** @type {any} */ (data).snippet = origin;
+		}
+
+		if (remap) {
+			if (origin.position) {
+				node.position = {
+					start: {...origin.position.start},
+					end: {...origin.position.end},
+				};
+			} else {
+				delete node.position;
+			}
+		}
+	});
+}
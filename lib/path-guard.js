@@ -0,0 +1,63 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import {SnippetError} from './snippet-error.js';
+
+/**
+ * Resolve symlinks in a path
+ *
+ * Paths that do not exist are resolved lexically, so a missing file outside
+ * the roots is still rejected instead of reported as missing.
+ *
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<string>}
+ */
+async function realpath(filePath) {
+	try {
+		return await fs.promises.realpath(filePath);
+	} catch {
+		return path.resolve(filePath);
+	}
+}
+
+/**
+ * Check whether a path is inside a directory
+ * @param {string} directory - Absolute directory
+ * @param {string} filePath - Absolute path
+ * @returns {boolean}
+ */
+export function isInside(directory, filePath) {
+	const relative = path.relative(directory, filePath);
+	return (
+		relative === '' ||
+		(!relative.startsWith(`..${path.sep}`) &&
+			relative !== '..' &&
+			!path.isAbsolute(relative))
+	);
+}
+
+/**
+ * Make sure a local snippet does not escape the allowed roots
+ *
+ * Both the snippet and the roots are compared after resolving symlinks, so a
+ * link inside a snippets directory cannot point at files outside of it.
+ *
+ * @param {string} specifier - Snippet specifier, for error messages
+ * @param {string} filePath - Resolved path of the snippet
+ * @param {string[]} roots - Directories the snippet may be in
+ * @returns {Promise<void>}
+ */
+export async function assertInsideRoots(specifier, filePath, roots) {
+	const realFilePath = await realpath(filePath);
+	const realRoots = await Promise.all(roots.map((root) => realpath(root)));
+
+	if (realRoots.some((root) => isInside(root, realFilePath))) {
+		return;
+	}
+
+	throw new SnippetError(
+		`Snippet "${specifier}" resolves to ${realFilePath}, outside of the snippet directories (${realRoots.join(
+			', '
+		)})`,
+		'outside-snippets-dir'
+	);
+}
@@ -0,0 +1,266 @@
+import {visit} from 'unist-util-visit';
+
+/**
+ * @typedef {import('mdast').Root} Root
+ *
+ * @typedef {Record<string, unknown>} SnippetProps
+ */
+
+/** Matches `{{name}}` and `{{name.key}}` placeholders in plain strings */
+const placeholderPattern = /\{\{\s*([A-Za-z_$][\w$-]*(?:\.[\w$-]+)*)\s*\}\}/g;
+
+/** Matches the source of a `{props.name}`, `{props.name.key}` or `{props['name']}` expression */
+const propsExpressionPattern =
+	/^\s*props\s*(?:\.\s*([A-Za-z_$][\w$]*(?:\.[\w$]+)*)|\[\s*(['"])([^'"]+)\2\s*\])\s*$/;
+
+/** Matches the source of a `{{name}}` placeholder parsed as an MDX expression */
+const placeholderExpressionPattern =
+	/^\s*\{\s*([A-Za-z_$][\w$-]*(?:\.[\w$-]+)*)\s*\}\s*$/;
+
+/**
+ * Collect the props passed to a snippet element
+ *
+ * Every attribute except the reserved ones becomes a prop. String values are
+ * kept as-is, boolean attributes (`<Snippet compact />`) become `true`, and
+ * expression values (`version={2}`) are parsed as JSON when possible.
+ *
+ * @param {any[]} attributes - Attributes of the snippet element
+ * @param {Set<string>} reserved - Attribute names that are not props
+ * @returns {SnippetProps}
+ */
+export function getSnippetProps(attributes, reserved) {
+	/** @type {SnippetProps} */
+	const props = {};
+
+	for (const attr of attributes) {
+		if (attr.type !== 'mdxJsxAttribute' || reserved.has(attr.name)) {
+			continue;
+		}
+
+		if (attr.value === null || attr.value === undefined) {
+			props[attr.name] = true;
+		} else if (typeof attr.value === 'string') {
+			props[attr.name] = attr.value;
+		} else {
+			props[attr.name] = parseExpressionValue(attr.value.value);
+		}
+	}
+
+	return props;
+}
+
+/**
+ * Parse the source of an attribute expression into a value
+ * @param {string} source - Expression source, e.g. `2` or `"a"`
+ * @returns {unknown}
+ */
+function parseExpressionValue(source) {
+	try {
+		return JSON.parse(source);
+	} catch {
+		// Not a literal, keep the raw source so it can still be substituted
+		return source;
+	}
+}
+
+/**
+ * Get the prop name referenced by an MDX expression, if any
+ * @param {string} source - Expression source
+ * @returns {string | undefined}
+ */
+function getReferencedProp(source) {
+	const propsMatch = propsExpressionPattern.exec(source);
+	if (propsMatch) {
+		return propsMatch[1] || propsMatch[3];
+	}
+
+	const placeholderMatch = placeholderExpressionPattern.exec(source);
+	return placeholderMatch ? placeholderMatch[1] : undefined;
+}
+
+/**
+ * Turn a prop value into a JSX attribute value
+ *
+ * Strings stay strings. Other primitives become literal expressions with an
+ * estree attached so MDX can compile them; anything else is serialized.
+ *
+ * @param {unknown} value - Prop value
+ * @returns {any}
+ */
+function toAttributeValue(value) {
+	if (typeof value === 'string') {
+		return value;
+	}
+
+	if (
+		typeof value === 'number' ||
+		typeof value === 'boolean' ||
+		value === null
+	) {
+		const raw = JSON.stringify(value);
+		return {
+			type: 'mdxJsxAttributeValueExpression',
+			value: raw,
+			data: {
+				estree: {
+					type: 'Program',
+					sourceType: 'module',
+					comments: [],
+					body: [
+						{
+							type: 'ExpressionStatement',
+							expression: {type: 'Literal', value, raw},
+						},
+					],
+				},
+			},
+		};
+	}
+
+	return JSON.stringify(value);
+}
+
+/**
+ * Turn a prop value into text, objects from data files as JSON
+ * @param {unknown} value - Prop value
+ * @returns {string}
+ */
+function toText(value) {
+	return typeof value === 'object' && value !== null
+		? JSON.stringify(value)
+		: String(value);
+}
+
+/**
+ * Substitute props into a snippet tree
+ *
+ * Replaces `{props.name}` expressions and `{{name}}` placeholders in text,
+ * code, link and image URLs, and JSX attributes (including those of nested
+ * snippets) with the matching prop value. Dotted names such as
+ * `{{plan.limits.0}}` select a key of an object prop.
+ *
+ * @param {Root} tree - Parsed snippet tree, modified in place
+ * @param {SnippetProps} props - Props passed to the snippet
+ * @returns {string[]} - Names of referenced props that were not passed
+ */
+export function substituteProps(tree, props) {
+	/** @type {Set<string>} */
+	const missing = new Set();
+
+	/**
+	 * Look up a prop, or a key of one with a dotted name such as `plan.limits.0`
+	 * @param {string} name
+	 * @returns {{found: boolean, value?: unknown}}
+	 */
+	const lookup = (name) => {
+		/** @type {any} */
+		let value = props;
+
+		for (const key of name.split('.')) {
+			if (
+				typeof value !== 'object' ||
+				value === null ||
+				!Object.prototype.hasOwnProperty.call(value, key)
+			) {
+				return {found: false};
+			}
+
+			value = value[key];
+		}
+
+		return {found: true, value};
+	};
+
+	/**
+	 * @param {string} value
+	 * @returns {string}
+	 */
+	const replace = (value) =>
+		value.replace(placeholderPattern, (placeholder, name) => {
+			const prop = lookup(name);
+
+			if (!prop.found) {
+				missing.add(name);
+				return placeholder;
+			}
+			return toText(prop.value);
+		});
+
+	visit(tree, (/** @type {any} */ node, index, parent) => {
+		if (
+			node.type === 'mdxTextExpression' ||
+			node.type === 'mdxFlowExpression'
+		) {
+			const name = getReferencedProp(node.value);
+
+			if (name === undefined) {
+				return;
+			}
+
+			const prop = lookup(name);
+
+			if (!prop.found) {
+				missing.add(name);
+				return;
+			}
+
+			/** @type {any} */
+			const text = {
+				type: 'text',
+				value: toText(prop.value),
+				position: node.position,
+			};
+
+			if (parent && typeof index === 'number') {
+				parent.children[index] =
+					node.type === 'mdxFlowExpression'
+						? {type: 'paragraph', children: [text], position: node.position}
+						: text;
+			}
+
+			return;
+		}
+
+		if (typeof node.value === 'string') {
+			node.value = replace(node.value);
+		}
+
+		if (typeof node.url === 'string') {
+			node.url = replace(node.url);
+		}
+
+		if (typeof node.title === 'string') {
+			node.title = replace(node.title);
+		}
+
+		if (Array.isArray(node.attributes)) {
+			for (const attr of node.attributes) {
+				if (attr.type !== 'mdxJsxAttribute' || !attr.value) {
+					continue;
+				}
+
+				if (typeof attr.value === 'string') {
+					attr.value = replace(attr.value);
+					continue;
+				}
+
+				const name = getReferencedProp(attr.value.value);
+
+				if (name === undefined) {
+					continue;
+				}
+
+				const prop = lookup(name);
+
+				if (!prop.found) {
+					missing.add(name);
+					continue;
+				}
+
+				attr.value = toAttributeValue(prop.value);
+			}
+		}
+	});
+
+	return [...missing];
+}
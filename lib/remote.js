@@ -0,0 +1,391 @@
+import {createHash} from 'node:crypto';
+import path from 'node:path';
+import {readCacheFile, writeCacheFile} from './cache-file.js';
+import {SnippetError} from './snippet-error.js';
+
+/**
+ * @typedef RemoteContent
+ * @property {string} value - Content of the remote file
+ * @property {string} path - URL the content was fetched from
+ *
+ * @typedef CacheEntry
+ * @property {string} url - URL of the cached content
+ * @property {string} value - Cached content
+ * @property {string | null} etag - `ETag` header of the cached response
+ * @property {string | null} lastModified - `Last-Modified` header of the cached response
+ *
+ * @typedef FetchOptions
+ * @property {number} [timeout] - Milliseconds before a request is aborted (default: 30000)
+ * @property {number} [retries] - Times to retry a request after a network error or 5xx response (default: 2)
+ * @property {number} [retryDelay] - Milliseconds to wait before the first retry, doubled on every retry (default: 250)
+ * @property {number} [maxSize] - Maximum size of a response body in bytes
+ * @property {string[]} [allowedHosts] - Only fetch from these hosts (`*.example.com` matches subdomains)
+ * @property {string[]} [deniedHosts] - Never fetch from these hosts
+ * @property {Record<string, Record<string, string>>} [headers] - Extra request headers per host
+ *
+ * @typedef RemoteLoaderOptionsFields
+ * @property {string} [cacheDir] - Directory to cache remote snippets in
+ * @property {boolean} [offline] - Only serve remote snippets from the cache
+ *
+ * @typedef {FetchOptions & RemoteLoaderOptionsFields} RemoteLoaderOptions
+ *
+ * @typedef {(url: string) => Promise<RemoteContent>} RemoteLoader
+ */
+
+/** Statuses of redirects, followed by hand so every location is checked */
+const redirectStatuses = new Set([301, 302, 303, 307, 308]);
+
+/** Redirects followed before a request fails, as many as `fetch` follows */
+const maxRedirects = 20;
+
+/**
+ * Get the on-disk cache file for a URL
+ * @param {string} cacheDir - Cache directory
+ * @param {string} url - Remote URL
+ * @returns {string}
+ */
+function getCachePath(cacheDir, url) {
+	const key = createHash('sha256').update(url).digest('hex');
+	return path.join(cacheDir, 'remote', `${key}.json`);
+}
+
+/**
+ * Normalize a host name, `example.com.` is the same host as `example.com`
+ * @param {string} host
+ * @returns {string}
+ */
+function normalizeHost(host) {
+	return host.toLowerCase().replace(/\.$/, '');
+}
+
+/**
+ * Check whether a host matches one of the patterns
+ * @param {string} host - Host name of a URL
+ * @param {string[]} patterns - Host names, `*.example.com` matches any subdomain
+ * @returns {boolean}
+ */
+function matchesHost(host, patterns) {
+	return patterns.some((pattern) => {
+		const normalized = normalizeHost(pattern);
+
+		if (normalized.startsWith('*.')) {
+			return host.endsWith(normalized.slice(1));
+		}
+
+		return host === normalized;
+	});
+}
+
+/**
+ * Get the extra headers configured for a host
+ * @param {string} host - Host name of a URL
+ * @param {Record<string, Record<string, string>>} headers - Headers per host pattern
+ * @returns {Record<string, string>}
+ */
+function getHostHeaders(host, headers) {
+	/** @type {Record<string, string>} */
+	const result = {};
+
+	for (const [pattern, values] of Object.entries(headers)) {
+		if (matchesHost(host, [pattern])) {
+			Object.assign(result, values);
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Check that a URL may be fetched
+ * @param {string} url - Remote URL
+ * @param {FetchOptions} options
+ * @returns {string} - Host name of the URL
+ */
+function assertHostAllowed(url, options) {
+	const {allowedHosts, deniedHosts} = options;
+	const host = normalizeHost(new URL(url).hostname);
+
+	if (
+		(deniedHosts && matchesHost(host, deniedHosts)) ||
+		(allowedHosts && !matchesHost(host, allowedHosts))
+	) {
+		throw new SnippetError(
+			`Fetching remote snippets from ${host} is not allowed: ${url}`,
+			'host-not-allowed'
+		);
+	}
+
+	return host;
+}
+
+/**
+ * Read a response body, enforcing the maximum size
+ * @param {string} url - Requested URL, for error messages
+ * @param {Response} response - Fetch response
+ * @param {number | undefined} maxSize - Maximum size in bytes
+ * @returns {Promise<string>}
+ */
+async function readBody(url, response, maxSize) {
+	if (maxSize === undefined) {
+		return response.text();
+	}
+
+	const tooLarge = () =>
+		new SnippetError(
+			`Response from ${url} exceeds maxSize of ${maxSize} bytes`,
+			'max-size'
+		);
+
+	const length = Number(response.headers?.get('content-length'));
+
+	if (length > maxSize) {
+		throw tooLarge();
+	}
+
+	if (!response.body || typeof response.body.getReader !== 'function') {
+		const text = await response.text();
+
+		if (Buffer.byteLength(text) > maxSize) {
+			throw tooLarge();
+		}
+
+		return text;
+	}
+
+	// Stream the body so an oversized response is never held in memory
+	const reader = response.body.getReader();
+	const decoder = new TextDecoder();
+	let size = 0;
+	let text = '';
+
+	while (true) {
+		const {done, value} = await reader.read();
+
+		if (done) {
+			break;
+		}
+
+		size += value.byteLength;
+
+		if (size > maxSize) {
+			await reader.cancel();
+			throw tooLarge();
+		}
+
+		text += decoder.decode(value, {stream: true});
+	}
+
+	return text + decoder.decode();
+}
+
+/**
+ * Wait before retrying a request
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+	return new Promise((resolve) => {
+		setTimeout(resolve, ms);
+	});
+}
+
+/**
+ * Fetch a URL, following redirects only to allowed hosts
+ *
+ * Every location is checked against `allowedHosts` and `deniedHosts` and
+ * gets the headers of its own host, so tokens never reach another host.
+ *
+ * @param {string} url - The URL to fetch
+ * @param {Record<string, string>} conditionalHeaders - Headers to revalidate a cached copy
+ * @param {FetchOptions} options
+ * @param {AbortSignal} signal
+ * @returns {Promise<Response>}
+ */
+async function fetchFollowingRedirects(
+	url,
+	conditionalHeaders,
+	options,
+	signal
+) {
+	const {headers: hostHeaders = {}} = options;
+	let location = url;
+
+	for (let redirects = 0; ; redirects++) {
+		const host = assertHostAllowed(location, options);
+		const response = await fetch(location, {
+			headers: {...getHostHeaders(host, hostHeaders), ...conditionalHeaders},
+			redirect: 'manual',
+			signal,
+		});
+		const next = response.headers?.get('location');
+
+		if (!redirectStatuses.has(response.status) || !next) {
+			return response;
+		}
+
+		if (redirects === maxRedirects) {
+			throw new SnippetError(
+				`Failed to fetch remote content from ${url}: more than ${maxRedirects} redirects`,
+				'fetch-error'
+			);
+		}
+
+		await response.body?.cancel();
+		location = new URL(next, location).href;
+	}
+}
+
+/**
+ * Fetch content from a remote URL, revalidating a cached copy if there is one
+ *
+ * Network errors, timeouts and 5xx responses are retried with exponential
+ * backoff.
+ *
+ * @param {string} url - The URL to fetch content from
+ * @param {CacheEntry | undefined} cached - Previously cached response
+ * @param {FetchOptions} options
+ * @returns {Promise<CacheEntry>}
+ */
+async function fetchRemoteContent(url, cached, options) {
+	const {timeout = 30000, retries = 2, retryDelay = 250, maxSize} = options;
+
+	/** @type {Record<string, string>} */
+	const headers = {};
+
+	if (cached?.etag) {
+		headers['If-None-Match'] = cached.etag;
+	}
+
+	if (cached?.lastModified) {
+		headers['If-Modified-Since'] = cached.lastModified;
+	}
+
+	for (let attempt = 0; ; attempt++) {
+		// The timeout covers the whole request, including reading the body
+		const controller = new AbortController();
+		const timer = setTimeout(() => controller.abort(), timeout);
+
+		try {
+			const response = await fetchFollowingRedirects(
+				url,
+				headers,
+				options,
+				controller.signal
+			);
+
+			if (cached && response.status === 304) {
+				return cached;
+			}
+
+			if (response.status >= 500 && attempt < retries) {
+				await response.body?.cancel();
+				await delay(retryDelay * 2 ** attempt);
+				continue;
+			}
+
+			if (!response.ok) {
+				throw new SnippetError(
+					`Failed to fetch remote content from ${url}: HTTP ${response.status}: ${response.statusText}`,
+					'fetch-error'
+				);
+			}
+
+			return {
+				url,
+				value: await readBody(url, response, maxSize),
+				etag: response.headers?.get('etag') ?? null,
+				lastModified: response.headers?.get('last-modified') ?? null,
+			};
+		} catch (error) {
+			if (error instanceof SnippetError) {
+				throw error;
+			}
+
+			if (attempt < retries) {
+				await delay(retryDelay * 2 ** attempt);
+				continue;
+			}
+
+			const errorMessage = controller.signal.aborted
+				? `Request timed out after ${timeout}ms`
+				: error instanceof Error
+				? error.message
+				: String(error);
+			throw new SnippetError(
+				`Failed to fetch remote content from ${url}: ${errorMessage}`,
+				'fetch-error',
+				error
+			);
+		} finally {
+			clearTimeout(timer);
+		}
+	}
+}
+
+/**
+ * Create a loader for remote snippets
+ *
+ * Every URL is fetched at most once per loader, so pages of a build share
+ * it. Failed requests are forgotten, so a later page or run tries again.
+ * With a `cacheDir`, responses are stored on disk and revalidated with their
+ * `ETag`/`Last-Modified` headers on later builds; in `offline` mode only the
+ * cache is used.
+ *
+ * @param {RemoteLoaderOptions} [options]
+ * @returns {RemoteLoader}
+ */
+export function createRemoteLoader(options = {}) {
+	const {cacheDir, offline = false, ...fetchOptions} = options;
+
+	/** @type {Map<string, Promise<RemoteContent>>} */
+	const memory = new Map();
+
+	/**
+	 * @param {string} url
+	 * @returns {Promise<RemoteContent>}
+	 */
+	async function load(url) {
+		assertHostAllowed(url, fetchOptions);
+
+		const cachePath = cacheDir ? getCachePath(cacheDir, url) : undefined;
+		const cached = cachePath
+			? /** @type {CacheEntry | undefined} */ (await readCacheFile(cachePath))
+			: undefined;
+
+		if (offline) {
+			if (!cached) {
+				throw new SnippetError(
+					`Remote snippet ${url} is not cached and offline mode is enabled`,
+					'offline-cache-miss'
+				);
+			}
+
+			return {value: cached.value, path: url};
+		}
+
+		const entry = await fetchRemoteContent(url, cached, fetchOptions);
+
+		if (cachePath && entry !== cached) {
+			await writeCacheFile(cachePath, entry);
+		}
+
+		return {value: entry.value, path: url};
+	}
+
+	return (url) => {
+		let promise = memory.get(url);
+
+		if (!promise) {
+			const loading = load(url);
+			memory.set(url, loading);
+			loading.catch(() => {
+				if (memory.get(url) === loading) {
+					memory.delete(url);
+				}
+			});
+			promise = loading;
+		}
+
+		return promise;
+	};
+}
@@ -0,0 +1,282 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import {SnippetError} from './snippet-error.js';
+
+/**
+ * @typedef {import('vfile').VFile} VFile
+ *
+ * @typedef ResolvedSnippet
+ * @property {string} path - Absolute file path or URL, its extension decides how the snippet is processed
+ * @property {boolean} remote - Whether `path` is a URL to fetch
+ * @property {string} [value] - Content of the snippet, when the resolver already loaded it
+ * @property {string} [root] - Directory the snippet may be in besides the snippets directories, also allowed for its nested snippets
+ *
+ * @typedef ResolveContext
+ * @property {string[]} snippetsDirs - Directories snippets are looked up in, in order
+ * @property {VFile} file - File that contains the snippet element
+ *
+ * @typedef {string | ResolvedSnippet | null | undefined} ResolveResult
+ *
+ * @typedef Resolver
+ * @property {string | RegExp | ((specifier: string) => boolean)} match - Prefix, pattern or test for the specifiers this resolver handles
+ * @property {(specifier: string, context: ResolveContext) => ResolveResult | Promise<ResolveResult>} resolve -
+ *   Turn a specifier into a path, URL or loaded snippet; return nothing to let the next resolver try
+ */
+
+/**
+ * Check whether a string is an http(s) URL
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isRemoteUrl(value) {
+	return value.startsWith('https://') || value.startsWith('http://');
+}
+
+/**
+ * Check whether a resolver handles a specifier
+ * @param {Resolver['match']} match
+ * @param {string} specifier
+ * @returns {boolean}
+ */
+function matches(match, specifier) {
+	if (typeof match === 'string') {
+		return specifier.startsWith(match);
+	}
+
+	if (match instanceof RegExp) {
+		return match.test(specifier);
+	}
+
+	return match(specifier);
+}
+
+/**
+ * Check whether a specifier is relative to the including file
+ * @param {string} specifier
+ * @returns {boolean}
+ */
+function isRelativeSpecifier(specifier) {
+	return specifier.startsWith('./') || specifier.startsWith('../');
+}
+
+/**
+ * Find a snippet in the first snippets directory that has it
+ *
+ * When no directory has the file, the path in the first directory is
+ * returned so errors point at the expected location.
+ *
+ * @param {string} filePath - Path relative to the snippets directories
+ * @param {string[]} snippetsDirs - Directories to look in, in order
+ * @returns {Promise<string>}
+ */
+async function findInSnippetsDirs(filePath, snippetsDirs) {
+	for (const directory of snippetsDirs) {
+		const candidate = path.join(directory, filePath);
+
+		try {
+			await fs.promises.access(candidate);
+			return candidate;
+		} catch {
+			// Not in this directory, try the next one
+		}
+	}
+
+	return path.join(snippetsDirs[0], filePath);
+}
+
+/**
+ * Resolve a `./` or `../` specifier against the including file
+ *
+ * Inside remote snippets the result is a URL; in a document without a path,
+ * relative specifiers are resolved from the first snippets directory.
+ *
+ * @param {string} specifier
+ * @param {ResolveContext} context
+ * @returns {ResolvedSnippet}
+ */
+function resolveRelative(specifier, {file, snippetsDirs}) {
+	if (file.path && isRemoteUrl(file.path)) {
+		return {path: new URL(specifier, file.path).href, remote: true};
+	}
+
+	const base = file.path
+		? path.dirname(path.resolve(file.cwd, file.path))
+		: snippetsDirs[0];
+
+	return {path: path.resolve(base, specifier), remote: false};
+}
+
+/**
+ * Normalize what a resolver returned
+ * @param {string | ResolvedSnippet} result
+ * @param {ResolveContext} context
+ * @returns {Promise<ResolvedSnippet>}
+ */
+async function normalize(result, context) {
+	if (typeof result !== 'string') {
+		return result;
+	}
+
+	if (isRemoteUrl(result)) {
+		return {path: result, remote: true};
+	}
+
+	if (isRelativeSpecifier(result)) {
+		return resolveRelative(result, context);
+	}
+
+	return {
+		path: path.isAbsolute(result)
+			? result
+			: await findInSnippetsDirs(result, context.snippetsDirs),
+		remote: false,
+	};
+}
+
+/**
+ * Resolve a snippet specifier, such as the `file` attribute of a snippet
+ *
+ * Resolvers are tried in order, the first one that matches and returns a
+ * result wins. Without a match, URLs are fetched, `./` and `../` paths are
+ * resolved from the including file, and anything else is looked up in the
+ * snippets directories.
+ *
+ * @param {string} specifier - Path, URL or custom specifier of the snippet
+ * @param {Resolver[]} resolvers - Resolvers to try
+ * @param {ResolveContext} context
+ * @returns {Promise<ResolvedSnippet>}
+ */
+export async function resolveSnippet(specifier, resolvers, context) {
+	for (const resolver of resolvers) {
+		if (!matches(resolver.match, specifier)) {
+			continue;
+		}
+
+		const result = await resolver.resolve(specifier, context);
+
+		if (result !== null && result !== undefined) {
+			return normalize(result, context);
+		}
+	}
+
+	if (isRemoteUrl(specifier)) {
+		return {path: specifier, remote: true};
+	}
+
+	if (isRelativeSpecifier(specifier)) {
+		return resolveRelative(specifier, context);
+	}
+
+	return {
+		path: await findInSnippetsDirs(specifier, context.snippetsDirs),
+		remote: false,
+	};
+}
+
+/**
+ * Resolver for `github:owner/repo@ref/path` specifiers
+ *
+ * Resolves to the raw content URL of the file, `@ref` defaults to `HEAD`.
+ *
+ * @returns {Resolver}
+ */
+export function githubResolver() {
+	return {
+		match: 'github:',
+		resolve(specifier) {
+			const match = /^github:([^/]+)\/([^/@]+)(?:@([^/]+))?\/(.+)$/.exec(
+				specifier
+			);
+
+			if (!match) {
+				throw new SnippetError(
+					`Invalid GitHub snippet "${specifier}", expected github:owner/repo@ref/path`,
+					'invalid-specifier'
+				);
+			}
+
+			const [, owner, repo, ref = 'HEAD', filePath] = match;
+			return `https://raw.githubusercontent.com/${owner}/${repo}/${ref}/${filePath}`;
+		},
+	};
+}
+
+/**
+ * Resolver for `npm:package/path` specifiers
+ *
+ * Looks the package up in the `node_modules` folders above the file's
+ * working directory, scoped packages (`npm:@scope/package/path`) work too.
+ *
+ * @returns {Resolver}
+ */
+export function npmResolver() {
+	return {
+		match: 'npm:',
+		resolve(specifier, {file}) {
+			const match = /^npm:((?:@[^/]+\/)?[^/]+)\/(.+)$/.exec(specifier);
+
+			if (!match) {
+				throw new SnippetError(
+					`Invalid npm snippet "${specifier}", expected npm:package/path`,
+					'invalid-specifier'
+				);
+			}
+
+			const [, packageName, filePath] = match;
+			let directory = path.resolve(file.cwd);
+
+			while (true) {
+				const packageDir = path.join(directory, 'node_modules', packageName);
+
+				if (fs.existsSync(path.join(packageDir, 'package.json'))) {
+					return {
+						path: path.join(packageDir, filePath),
+						remote: false,
+						root: packageDir,
+					};
+				}
+
+				const parent = path.dirname(directory);
+
+				if (parent === directory) {
+					throw new SnippetError(
+						`Cannot find package "${packageName}" for snippet "${specifier}"`,
+						'missing-file'
+					);
+				}
+
+				directory = parent;
+			}
+		},
+	};
+}
+
+/**
+ * Resolver for path aliases, such as `@shared/install.mdx`
+ * @param {Record<string, string>} aliases - Directory for each alias, relative paths are resolved from the working directory
+ * @returns {Resolver}
+ */
+export function aliasResolver(aliases) {
+	// Longer aliases first, so `@docs/api` wins over `@docs`
+	const entries = Object.entries(aliases).sort(
+		([a], [b]) => b.length - a.length
+	);
+
+	return {
+		match: (specifier) =>
+			entries.some(([alias]) => specifier.startsWith(`${alias}/`)),
+		resolve(specifier, {file}) {
+			const [alias, directory] = /** @type {[string, string]} */ (
+				entries.find(([alias]) => specifier.startsWith(`${alias}/`))
+			);
+
+			const root = path.resolve(file.cwd, directory);
+
+			return {
+				path: path.join(root, specifier.slice(alias.length + 1)),
+				remote: false,
+				root,
+			};
+		},
+	};
+}
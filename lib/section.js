@@ -0,0 +1,78 @@
+import {toString} from 'mdast-util-to-string';
+import {SnippetError} from './snippet-error.js';
+
+/**
+ * @typedef {import('mdast').Root} Root
+ * @typedef {import('mdast').Heading} Heading
+ */
+
+/**
+ * Turn heading text into an anchor, like GitHub does
+ * @param {string} text - Heading text
+ * @returns {string}
+ */
+function slug(text) {
+	return text
+		.toLowerCase()
+		.replace(/[^\p{L}\p{M}\p{N}\p{Pc}\- ]/gu, '')
+		.replace(/ /g, '-');
+}
+
+/**
+ * Select one section of a markdown snippet
+ *
+ * The section is found by heading text (`Configuration`) or anchor
+ * (`#configuration`, duplicate headings get `-1`, `-2`… like on GitHub), and
+ * runs up to the next heading of the same or a higher level.
+ *
+ * @param {Root} tree - Parsed snippet
+ * @param {string} section - Heading text, or anchor starting with `#`
+ * @param {{heading?: boolean}} options - Whether to keep the heading of the section (default: true)
+ * @param {string} source - Snippet path, for error messages
+ * @returns {Root}
+ */
+export function selectSection(tree, section, {heading = true}, source) {
+	const anchor = section.startsWith('#') ? section.slice(1) : null;
+	/** @type {Map<string, number>} */
+	const occurrences = new Map();
+
+	const start = tree.children.findIndex((node) => {
+		if (node.type !== 'heading') {
+			return false;
+		}
+
+		const text = toString(node).trim();
+
+		if (anchor === null) {
+			return text === section.trim();
+		}
+
+		const base = slug(text);
+		const count = occurrences.get(base) || 0;
+		occurrences.set(base, count + 1);
+
+		return (count === 0 ? base : `${base}-${count}`) === anchor;
+	});
+
+	if (start === -1) {
+		throw new SnippetError(
+			`Section "${section}" not found in ${source}`,
+			'missing-section'
+		);
+	}
+
+	const {depth} = /** @type {Heading} */ (tree.children[start]);
+	let end = tree.children.findIndex(
+		(node, index) =>
+			index > start && node.type === 'heading' && node.depth <= depth
+	);
+
+	if (end === -1) {
+		end = tree.children.length;
+	}
+
+	return {
+		...tree,
+		children: tree.children.slice(heading ? start : start + 1, end),
+	};
+}
@@ -0,0 +1,144 @@
+import {SKIP, visit} from 'unist-util-visit';
+import {getStringAttribute, isElement} from './attributes.js';
+import {SnippetError} from './snippet-error.js';
+
+/**
+ * @typedef {import('unist').Node} Node
+ *
+ * @typedef SlotContent
+ * @property {any[]} children - Nodes passed to the slot
+ * @property {boolean} inline - Whether the nodes are phrasing content
+ */
+
+/**
+ * Get the slot name in an attribute of a JSX element, empty for the default slot
+ * @param {any} node
+ * @param {string} name - Attribute name
+ * @returns {string}
+ */
+function getName(node, name) {
+	return getStringAttribute(node.attributes, name) ?? '';
+}
+
+/**
+ * Get the `<template slot>` element a node is, or is the only content of
+ *
+ * A template on a single line is parsed inline, in a paragraph of its own.
+ *
+ * @param {any} node
+ * @returns {any}
+ */
+function getTemplate(node) {
+	const [only, ...rest] =
+		node.type === 'paragraph'
+			? node.children.filter(
+					(/** @type {any} */ child) =>
+						child.type !== 'text' || child.value.trim() !== ''
+			  )
+			: [node];
+
+	return rest.length === 0 &&
+		only &&
+		isElement(only, 'template') &&
+		getName(only, 'slot')
+		? only
+		: undefined;
+}
+
+/**
+ * Split the children of a `<Snippet>` element into the content of each slot
+ *
+ * `<template slot="name">` elements fill named slots, everything else fills
+ * the default slot, keyed by `''`.
+ *
+ * @param {any} element - `<Snippet>` element
+ * @returns {Map<string, SlotContent>}
+ */
+function getSlotContents(element) {
+	const inline = element.type === 'mdxJsxTextElement';
+	/** @type {Map<string, SlotContent>} */
+	const contents = new Map();
+	/** @type {any[]} */
+	const rest = [];
+
+	for (const child of element.children) {
+		const template = getTemplate(child);
+
+		if (template) {
+			contents.set(getName(template, 'slot'), {
+				children: template.children,
+				inline: template.type === 'mdxJsxTextElement',
+			});
+		} else {
+			rest.push(child);
+		}
+	}
+
+	// Whitespace around named templates in inline content is not default content
+	if (
+		rest.some((child) => child.type !== 'text' || child.value.trim() !== '')
+	) {
+		contents.set('', {children: rest, inline});
+	}
+
+	return contents;
+}
+
+/**
+ * Fit slot content to the slot it is placed in
+ * @param {SlotContent} content
+ * @param {any} slot - `<Slot>` element
+ * @param {string} source - Snippet specifier, for error messages
+ * @returns {any[]}
+ */
+function fit({children, inline}, slot, source) {
+	if (slot.type === 'mdxJsxFlowElement') {
+		return inline ? [{type: 'paragraph', children}] : children;
+	}
+
+	if (inline) {
+		return children;
+	}
+
+	// Inline slots can only hold phrasing content, unwrap a single paragraph
+	const [paragraph] = children;
+
+	if (children.length > 1 || (paragraph && paragraph.type !== 'paragraph')) {
+		throw new SnippetError(
+			`Content for the inline slot of snippet "${source}" has block content`,
+			'inline-block-content'
+		);
+	}
+
+	return paragraph ? paragraph.children : [];
+}
+
+/**
+ * Place the children of a `<Snippet>` element in the `<Slot>` markers of the expanded snippet
+ *
+ * `<Slot />` takes the default content and `<Slot name="footer" />` the
+ * content of `<template slot="footer">`. A slot without content keeps its own
+ * children as fallback. Content is not searched for slots, so a snippet can
+ * forward its own `<Slot />` to a snippet it includes.
+ *
+ * @param {Node} tree - Expanded snippet, modified in place
+ * @param {any} element - `<Snippet>` element with the content
+ * @param {string} source - Snippet specifier, for error messages
+ */
+export function fillSlots(tree, element, source) {
+	const contents = getSlotContents(element);
+
+	visit(tree, (node, index, parent) => {
+		if (!isElement(node, 'Slot') || !parent || index === undefined) {
+			return;
+		}
+
+		const content = contents.get(getName(node, 'name'));
+		const children = content
+			? fit(content, node, source)
+			: /** @type {any} */ (node).children;
+
+		/** @type {any} */ (parent).children.splice(index, 1, ...children);
+		return [SKIP, index + children.length];
+	});
+}
@@ -0,0 +1,18 @@
+/**
+ * Error for problems with a snippet that should be reported on the
+ * including file rather than logged
+ */
+export class SnippetError extends Error {
+	/**
+	 * @param {string} message - Human readable reason
+	 * @param {string} ruleId - Rule reported alongside the message (e.g. `missing-region`)
+	 * @param {unknown} [cause] - Original error, if any
+	 */
+	constructor(message, ruleId, cause) {
+		super(message);
+		this.name = 'SnippetError';
+		this.ruleId = ruleId;
+		/** @type {unknown} */
+		this.cause = cause;
+	}
+}
@@ -0,0 +1,134 @@
+import path from 'node:path';
+import {visit} from 'unist-util-visit';
+
+/**
+ * @typedef {import('mdast').Root} Root
+ * @typedef {import('unist').Node} Node
+ *
+ * @typedef UrlRewriteContext
+ * @property {string} url - URL as written in the snippet
+ * @property {string} snippet - Resolved path or URL of the snippet
+ * @property {string | undefined} document - Path of the page the snippet ends up in, if it has one
+ * @property {boolean} remote - Whether the snippet was fetched from a URL
+ * @property {Node} node - Link, image, definition or JSX element with the URL
+ *
+ * @typedef {(rewritten: string, context: UrlRewriteContext) => string | null | undefined} UrlRewriter
+ *
+ * @typedef RewriteOptions
+ * @property {string} snippet - Resolved path or URL of the snippet
+ * @property {boolean} remote - Whether the snippet was fetched from a URL
+ * @property {string | undefined} document - Path of the page the snippet ends up in
+ * @property {string} cwd - Directory URLs are made relative to when the page has no path
+ * @property {string} elementName - Name of snippet elements, their attributes are props and left alone
+ * @property {UrlRewriter} [rewrite] - Hook to change the rewritten URL, return nothing to keep it
+ */
+
+/** JSX attributes that hold URLs */
+const urlAttributes = new Set(['src', 'href']);
+
+/**
+ * Check whether a URL is relative to the file it is written in
+ *
+ * Absolute URLs, protocol-relative and root-relative URLs, and fragments are
+ * not.
+ *
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isRelativeUrl(url) {
+	return (
+		url !== '' &&
+		!/^[a-z][a-z\d+.-]*:/i.test(url) &&
+		!url.startsWith('/') &&
+		!url.startsWith('#')
+	);
+}
+
+/**
+ * Rebase a relative URL from a snippet onto the page it is included in
+ * @param {string} url - Relative URL
+ * @param {RewriteOptions} options
+ * @returns {string}
+ */
+function rebase(url, {snippet, remote, document, cwd}) {
+	if (remote) {
+		return new URL(url, snippet).href;
+	}
+
+	const [, pathname, suffix] = /** @type {RegExpExecArray} */ (
+		/^([^?#]*)(.*)$/.exec(url)
+	);
+	const from = document ? path.dirname(document) : cwd;
+	const target = path.resolve(path.dirname(snippet), pathname);
+	const relative = path.relative(from, target).split(path.sep).join('/');
+
+	return (relative || '.') + suffix;
+}
+
+/**
+ * Rewrite relative URLs in a snippet so they keep pointing at the same files
+ *
+ * Links, images, definitions and `src`/`href` attributes of JSX elements are
+ * made relative to the page for local snippets, and absolute for remote
+ * snippets.
+ *
+ * @param {Root} tree - Parsed snippet, before its nested snippets are expanded
+ * @param {RewriteOptions} options
+ */
+export function rewriteUrls(tree, options) {
+	const {rewrite, elementName} = options;
+
+	/**
+	 * @param {string} url
+	 * @param {Node} node
+	 * @returns {string}
+	 */
+	const apply = (url, node) => {
+		if (!isRelativeUrl(url)) {
+			return url;
+		}
+
+		const rewritten = rebase(url, options);
+
+		if (!rewrite) {
+			return rewritten;
+		}
+
+		const result = rewrite(rewritten, {
+			url,
+			snippet: options.snippet,
+			document: options.document,
+			remote: options.remote,
+			node,
+		});
+
+		return typeof result === 'string' ? result : rewritten;
+	};
+
+	visit(tree, (node) => {
+		if (
+			node.type === 'link' ||
+			node.type === 'image' ||
+			node.type === 'definition'
+		) {
+			node.url = apply(node.url, node);
+			return;
+		}
+
+		if (
+			(node.type === 'mdxJsxFlowElement' ||
+				node.type === 'mdxJsxTextElement') &&
+			node.name !== elementName
+		) {
+			for (const attribute of node.attributes) {
+				if (
+					attribute.type === 'mdxJsxAttribute' &&
+					urlAttributes.has(attribute.name) &&
+					typeof attribute.value === 'string'
+				) {
+					attribute.value = apply(attribute.value, node);
+				}
+			}
+		}
+	});
+}
@@ -1,32 +1,20 @@
 import path from 'node:path';
 import fs from 'node:fs';
+import os from 'node:os';
 import tap from 'tap';
 import remarkMdx from 'remark-mdx';
 import remarkStringify from 'remark-stringify';
-import {mdxSnippet} from './index.js';
+import {
+	auditSnippets,
+	createSnippetGraph,
+	expandSnippets,
+	mdxSnippet,
+} from './index.js';
+import {run} from './lib/cli.js';
 import {unified} from 'unified';
 import remarkParse from 'remark-parse';
-
-tap.Test.prototype.capture = function (target, method) {
-	const original = target[method];
-	const calls = [];
-
-	target[method] = (...args) => {
-		calls.push(args);
-	};
-
-	// Restore the original method when the test ends
-	this.teardown(() => {
-		target[method] = original;
-	});
-
-	return {
-		calls,
-		restore: () => {
-			target[method] = original;
-		},
-	};
-};
+import remarkGfm from 'remark-gfm';
+import {VFile} from 'vfile';
 
 async function mock(mdx, cb) {
 	const processor = unified().use(remarkParse).use(remarkMdx);
@@ -39,6 +27,18 @@ async function mock(mdx, cb) {
 	return result;
 }
 
+async function mockWithFile(mdx, cb) {
+	const processor = unified().use(remarkParse).use(remarkMdx);
+	cb(processor);
+	processor.use(remarkStringify);
+
+	const file = new VFile({value: mdx, path: 'test.mdx'});
+	const tree = processor.parse(file);
+	const transformedTree = await processor.run(tree, file);
+	const result = processor.stringify(transformedTree);
+	return {result, file};
+}
+
 // Create some test snippet files
 const snippets = {
 	'simple.mdx': '# Hello Snippet\n\nThis is a simple snippet.',
@@ -47,6 +47,120 @@ const snippets = {
 	'child.mdx': '- List item 1\n- List item 2',
 	'./directory/dir.mdx':
 		'# Directory Snippet\n\nThis is a snippet in a directory.',
+	'install.mdx':
+		'Install {props.pkg} version {{version}}.\n\n```bash\nnpm i {{pkg}}@{{version}}\n```\n\n[Package](https://npmjs.com/package/{{pkg}})',
+	'props-parent.mdx': '<Snippet file="props-child.mdx" name="{{pkg}}" />',
+	'props-child.mdx': 'Hello {props.name}!',
+	'install-schema.mdx': [
+		'---',
+		'title: Install',
+		'props:',
+		'  pkg: {required: true}',
+		'  manager: {default: npm, enum: [npm, pnpm, yarn]}',
+		'  tag:',
+		'---',
+		'',
+		'```bash',
+		'{{manager}} install {{pkg}}{{tag}}',
+		'```',
+	].join('\n'),
+	'install-variants.mdx': [
+		`<If condition="manager === 'pnpm'">`,
+		'pnpm add {{pkg}}',
+		'</If>',
+		'<Else>',
+		'npm install {{pkg}}',
+		'</Else>',
+		'',
+		`<Note if="edition == 'cloud'">Cloud only</Note>`,
+		'',
+		`<If condition="edition !== 'cloud' && props.selfHosted">`,
+		'Self-hosted steps',
+		'</If>',
+	].join('\n'),
+	'edition-note.mdx': [
+		`<If condition={ edition === 'cloud' }>Managed for you.</If>`,
+		'',
+		`<Note if={edition !== 'cloud'}>Run your own server.</Note>`,
+	].join('\n'),
+	'callout.mdx':
+		'<Warning>\n  <Slot />\n\n  <Slot name="footer">No footer.</Slot>\n</Warning>',
+	'callout-wrapper.mdx':
+		'<Snippet file="callout.mdx">\n  <Slot />\n\n  <template slot="footer">Wrapped.</template>\n</Snippet>',
+	'badge.mdx': 'Status: **<Slot>stable</Slot>**',
+	'env-vars.csv':
+		'name,description,default\nPORT,"Port to listen on, usually 80",3000\nDEBUG,"Log ""everything""",\n',
+	'limits.json': JSON.stringify({
+		plans: [
+			{name: 'Free', limits: {seats: 3, regions: ['eu', 'us']}},
+			{name: 'Pro', limits: {seats: 20}},
+		],
+	}),
+	'company.yaml': 'name: Acme\nplan:\n  seats: 5\n',
+	'plan.mdx':
+		'{props.name} allows {props.plan.seats} seats.\n\n```sh\nacme --seats {{plan.seats}}\n```',
+	'notes.txt': 'Remember to *restart*\nthe server.\n\nThen log in.\n',
+	'banner.html': '<div class="banner">\n  <b>New</b>\n</div>\n',
+	'guide.markdown':
+		'## Guide\n\n| Step | Command |\n| - | - |\n| 1 | `init` |\n',
+	'dual.md': 'Dual\n\n<Snippet file="simple.mdx" />',
+	'bad-frontmatter.mdx': '---\nprops: [\n---\n\nText',
+	'messages-parent.mdx': '<Snippet file="props-child.mdx" />',
+	'cycle-a.mdx': 'Cycle A\n\n<Snippet file="cycle-b.mdx" />',
+	'cycle-b.mdx': 'Cycle B\n\n<Snippet file="cycle-a.mdx" />',
+	'./directory/relative-parent.mdx':
+		'Relative parent\n\n<Snippet file="./relative-child.mdx" />\n\n<Snippet file="../child.mdx" />',
+	'./directory/relative-child.mdx': 'Relative sibling',
+	'./directory/links.mdx': [
+		'![diagram](./img/arch.png)',
+		'',
+		'[next](../child.mdx#top) [anchor](#intro) [root](/docs) [web](https://example.com)',
+		'',
+		'[ref]: ref.md?plain',
+		'',
+		'<img src="img/logo.svg" />',
+	].join('\n'),
+	'depth-1.mdx': '<Snippet file="depth-2.mdx" />',
+	'depth-2.mdx': '<Snippet file="child.mdx" />',
+	'version.md': '**2.1.0**',
+	'outline.mdx':
+		'# Outline\n\nIntro.\n\n## Details\n\n<Snippet file="nested.mdx" />',
+	'guide.md': [
+		'# Guide',
+		'',
+		'Intro.',
+		'',
+		'## Configuration',
+		'',
+		'Configure it.',
+		'',
+		'### Options',
+		'',
+		'Some options.',
+		'',
+		'## Usage',
+		'',
+		'Use it.',
+		'',
+		'## Usage',
+		'',
+		'Use it again.',
+		'',
+	].join('\n'),
+	'server.ts': [
+		"import http from 'node:http';",
+		'',
+		'export function start() {',
+		'\t// #region setup',
+		'\tconst server = http.createServer();',
+		'\t// #region listen',
+		'\tserver.listen(3000);',
+		'\t// #endregion',
+		'\t// #endregion',
+		'\treturn server;',
+		'}',
+		'',
+	].join('\n'),
 };
 
 // Utility to create a temporary snippets directory for testing
@@ -79,16 +193,46 @@ function setupTempSnippetsDir() {
 
 // Mock fetch for remote file testing
 function createFetchMock(responses = {}) {
-	return async (url, options) => {
+	const fetchMock = async (url, options = {}) => {
+		fetchMock.calls.push({url, options});
+
 		if (responses[url]) {
-			const response = responses[url];
+			// A list of responses is answered in order, repeating the last one
+			const attempt = fetchMock.calls.filter((call) => call.url === url).length;
+			const response = Array.isArray(responses[url])
+				? responses[url][Math.min(attempt, responses[url].length) - 1]
+				: responses[url];
+			if (response.delay) {
+				await new Promise((resolve, reject) => {
+					const timer = setTimeout(resolve, response.delay);
+					options.signal?.addEventListener('abort', () => {
+						clearTimeout(timer);
+						reject(new Error('This operation was aborted'));
+					});
+				});
+			}
 			if (response.error) {
 				throw new Error(response.error);
 			}
+			const headers = new Headers(response.headers);
+			// Answer conditional requests for unchanged content
+			if (
+				headers.has('etag') &&
+				options.headers?.['If-None-Match'] === headers.get('etag')
+			) {
+				return {
+					ok: false,
+					status: 304,
+					statusText: 'Not Modified',
+					headers,
+					text: async () => '',
+				};
+			}
 			return {
 				ok: response.ok !== false,
 				status: response.status || 200,
 				statusText: response.statusText || 'OK',
+				headers,
 				text: async () => response.content || '',
 			};
 		}
@@ -97,9 +241,27 @@ function createFetchMock(responses = {}) {
 			ok: false,
 			status: 404,
 			statusText: 'Not Found',
+			headers: new Headers(),
 			text: async () => 'Not Found',
 		};
 	};
+
+	fetchMock.calls = [];
+	return fetchMock;
+}
+
+// Count the snippets parsed by the nested processors
+function createParseCounter() {
+	const counter = {parses: 0};
+	counter.plugin = function () {
+		const parser = this.parser;
+		this.parser = (document, file) => {
+			counter.parses++;
+			return parser(document, file);
+		};
+	};
+
+	return counter;
 }
 
 tap.test('mdxSnippet plugin', (t) => {
@@ -153,20 +315,25 @@ tap.test('mdxSnippet plugin', (t) => {
 
 	<Snippet />
 	`;
-		const consoleWarnSpy = st.capture(console, 'warn');
+		let file;
 
 		try {
-			await mock(mdx, (processor) => processor.use(mdxSnippet, {snippetsDir}));
+			({file} = await mockWithFile(mdx, (processor) =>
+				processor.use(mdxSnippet, {snippetsDir})
+			));
 			st.pass('Should not throw on missing file attribute');
 		} catch (error) {
 			st.fail('Should not throw on missing file attribute');
 		}
 
 		st.match(
-			consoleWarnSpy.calls[0][0],
+			file.messages[0].reason,
 			/Snippet tag missing required "file" attribute/,
-			'Should log warning for missing file attribute'
+			'Should report a message for missing file attribute'
 		);
+		st.equal(file.messages[0].source, 'remark-mdx-snippets');
+		st.equal(file.messages[0].ruleId, 'missing-attribute');
+		st.equal(file.messages[0].line, 4, 'Should point at the snippet element');
 		st.end();
 	});
 
@@ -176,19 +343,75 @@ tap.test('mdxSnippet plugin', (t) => {
 
 	<Snippet file="non-existent.mdx" />
 	`;
-		const consoleErrorSpy = st.capture(console, 'error');
+		let file;
 
 		try {
-			await mock(mdx, (processor) => processor.use(mdxSnippet, {snippetsDir}));
+			({file} = await mockWithFile(mdx, (processor) =>
+				processor.use(mdxSnippet, {snippetsDir})
+			));
 			st.pass('Should not throw on non-existent file');
 		} catch (error) {
 			st.fail('Should not throw on non-existent file');
 		}
 
 		st.match(
-			consoleErrorSpy.calls[0][0],
-			/Error reading snippet file/,
-			'Should log error for non-existent file'
+			file.messages[0].reason,
+			/Snippet file not found: .*_test_snippets\/non-existent\.mdx/,
+			'Should report a message with the snippet path'
+		);
+		st.equal(file.messages[0].ruleId, 'missing-file');
+		st.equal(file.messages[0].fatal, false, 'Should be a warning');
+		st.end();
+	});
+
+	t.test('Strict mode fails on unresolved snippets', async (st) => {
+		const mdx = `<Snippet file="non-existent.mdx" />`;
+
+		await st.rejects(
+			mock(mdx, (processor) =>
+				processor.use(mdxSnippet, {snippetsDir, strict: true})
+			),
+			{ruleId: 'missing-file', source: 'remark-mdx-snippets', fatal: true},
+			'Should reject with the missing file'
+		);
+		st.end();
+	});
+
+	t.test('Strict mode waits for queued snippets', async (st) => {
+		/** @type {unknown[]} */
+		const unhandled = [];
+		const onUnhandled = (reason) => unhandled.push(reason);
+		process.on('unhandledRejection', onUnhandled);
+		st.teardown(() => process.off('unhandledRejection', onUnhandled));
+
+		const file = new VFile('<Snippet file="missing.mdx" />\n\n<Snippet />');
+
+		await st.rejects(expandSnippets(file, {snippetsDir, strict: true}), {
+			fatal: true,
+		});
+		await new Promise((resolve) => setTimeout(resolve, 50));
+
+		st.same(unhandled, [], 'Should handle every queued snippet');
+		st.same(
+			file.messages.map((message) => message.ruleId).sort(),
+			['missing-attribute', 'missing-file'],
+			'Should report both problems'
+		);
+		st.end();
+	});
+
+	t.test('Messages from nested snippets reach the root file', async (st) => {
+		const mdx = `<Snippet file="messages-parent.mdx" />`;
+
+		const {file} = await mockWithFile(mdx, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir, processor: processor()})
+		);
+
+		st.equal(file.messages.length, 1, 'Should report one message');
+		st.match(
+			file.messages[0].reason,
+			/Missing prop "name" for snippet "props-child\.mdx"/,
+			'Should surface the nested message'
 		);
 		st.end();
 	});
@@ -301,310 +524,2308 @@ Final content
 		st.end();
 	});
 
-	t.end();
-});
-
-tap.test('mdxSnippet plugin - Remote Files', (t) => {
-	// Setup temporary snippets directory for mixed tests
-	const {dir: snippetsDir, cleanup} = setupTempSnippetsDir();
-
-	t.teardown(cleanup);
-
-	t.test('Basic remote file inclusion', async (st) => {
+	t.test('Props are substituted into snippet content', async (st) => {
 		const mdx = `
 # Test Document
 
-<Snippet file="https://raw.githubusercontent.com/anubra266/remark-mdx-snippets/refs/heads/main/readme.md" />
+<Snippet file="install.mdx" pkg="@acme/ui" version="2.1" />
 `;
 
-		const result = await mock(mdx, (processor) =>
+		const {result, file} = await mockWithFile(mdx, (processor) =>
 			processor.use(mdxSnippet, {snippetsDir})
 		);
 
-		// Test for specific content from the remark-mdx-snippets README
 		st.match(
 			result,
-			/remark-mdx-snippets/,
-			'Should include project name from README'
+			/Install @acme\/ui version 2\.1\./,
+			'Should substitute expressions and placeholders in text'
 		);
 		st.match(
 			result,
-			/Snippets for your markdown/,
-			'Should include project description from README'
+			/npm i @acme\/ui@2\.1/,
+			'Should substitute placeholders in code blocks'
 		);
 		st.match(
 			result,
-			/Reusable and nestable snippets inspired by.*Mintlify/,
-			'Should include the inspiration description from README'
+			/\(https:\/\/npmjs\.com\/package\/@acme\/ui\)/,
+			'Should substitute placeholders in link URLs'
 		);
-		// Should not contain the specific original Snippet tag if processed successfully
-		st.notMatch(
+		st.equal(file.messages.length, 0, 'Should not report any messages');
+		st.end();
+	});
+
+	t.test('Frontmatter declares props with defaults', async (st) => {
+		const {result, file} = await mockWithFile(
+			`<Snippet file="install-schema.mdx" pkg="react" />`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.equal(file.messages.length, 0);
+		st.equal(
 			result,
-			/remark-mdx-snippets\/refs\/heads\/main\/readme\.md/,
-			'Should replace the specific Snippet tag with actual content'
+			'```bash\nnpm install react\n```\n',
+			'Should apply defaults and strip the frontmatter'
 		);
 		st.end();
 	});
 
-	t.test(
-		'Custom element and file attribute names with remote files',
-		async (st) => {
-			const originalFetch = global.fetch;
-			const mockResponses = {
-				'https://example.com/custom-remote.md': {
-					content: '# Custom Remote\n\nCustom element test with remote file.',
-				},
-			};
+	t.test('Props are validated against the frontmatter', async (st) => {
+		const {file} = await mockWithFile(
+			`<Snippet file="install-schema.mdx" manager="bun" extra />`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
 
-			global.fetch = createFetchMock(mockResponses);
-			st.teardown(() => {
-				global.fetch = originalFetch;
-			});
+		st.same(
+			file.messages.map((message) => message.ruleId),
+			['unknown-prop', 'missing-prop', 'invalid-prop']
+		);
+		st.match(file.messages[0].reason, /Unknown prop "extra"/);
+		st.match(file.messages[1].reason, /Missing required prop "pkg"/);
+		st.match(
+			file.messages[2].reason,
+			/Invalid value "bun" for prop "manager" of snippet "install-schema\.mdx", expected one of: npm, pnpm, yarn/
+		);
+		st.end();
+	});
 
-			const mdx = `
-# Test Document
+	t.test('Invalid frontmatter is reported', async (st) => {
+		const {file} = await mockWithFile(
+			`<Snippet file="bad-frontmatter.mdx" />`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
 
-<CodeSnippet source="https://example.com/custom-remote.md" />
-`;
+		st.equal(file.messages.length, 1);
+		st.equal(file.messages[0].ruleId, 'invalid-frontmatter');
+		st.end();
+	});
 
-			const result = await mock(mdx, (processor) =>
+	t.test('Conditions keep the matching branches', async (st) => {
+		const {result, file} = await mockWithFile(
+			`<Snippet file="install-variants.mdx" manager="pnpm" pkg="react" />`,
+			(processor) =>
 				processor.use(mdxSnippet, {
 					snippetsDir,
-					elementName: 'CodeSnippet',
-					fileAttribute: 'source',
+					processor: processor(),
+					variables: {edition: 'cloud'},
 				})
-			);
+		);
 
-			st.match(
-				result,
-				/# Custom Remote/,
-				'Should work with custom element name and remote URL'
-			);
-			st.end();
-		}
-	);
+		st.equal(file.messages.length, 0);
+		st.match(result, /pnpm add react/);
+		st.notMatch(result, /npm install/, 'Should drop the else branch');
+		st.match(result, /<Note>Cloud only<\/Note>/, 'Should keep the element');
+		st.notMatch(result, /Self-hosted/);
+		st.end();
+	});
 
-	t.test('Error handling - HTTP error response', async (st) => {
-		const originalFetch = global.fetch;
-		const mockResponses = {
-			'https://example.com/not-found.md': {
-				ok: false,
-				status: 404,
-				statusText: 'Not Found',
-			},
-		};
+	t.test('Conditions can use variables and boolean props', async (st) => {
+		const result = await mock(
+			`<Snippet file="install-variants.mdx" pkg="react" selfHosted />`,
+			(processor) =>
+				processor.use(mdxSnippet, {
+					snippetsDir,
+					processor: processor(),
+					variables: {edition: 'self-hosted'},
+				})
+		);
 
-		global.fetch = createFetchMock(mockResponses);
-		const consoleErrorSpy = st.capture(console, 'error');
-		st.teardown(() => {
-			global.fetch = originalFetch;
-		});
+		st.match(result, /npm install react/, 'Should keep the else branch');
+		st.notMatch(result, /pnpm add|Cloud only/);
+		st.match(result, /Self-hosted steps/);
+		st.end();
+	});
 
-		const mdx = `
-# Test Document
+	t.test('Conditions can be written as expressions', async (st) => {
+		const {result, file} = await mockWithFile(
+			`<Snippet file="edition-note.mdx" />`,
+			(processor) =>
+				processor.use(mdxSnippet, {
+					snippetsDir,
+					processor: processor(),
+					variables: {edition: 'self-hosted'},
+				})
+		);
 
-<Snippet file="https://example.com/not-found.md" />
-`;
+		st.equal(file.messages.length, 0);
+		st.notMatch(result, /Managed/);
+		st.match(result, /<Note>Run your own server.<\/Note>/);
+		st.end();
+	});
 
-		try {
-			await mock(mdx, (processor) => processor.use(mdxSnippet, {snippetsDir}));
-			st.pass('Should not throw on HTTP error');
-		} catch (error) {
-			st.fail('Should not throw on HTTP error');
-		}
+	t.test('Snippets with a false if attribute are dropped', async (st) => {
+		const {result, file} = await mockWithFile(
+			`Before\n\n<Snippet file="simple.mdx" if="edition === 'cloud'" />\n\nAfter`,
+			(processor) =>
+				processor.use(mdxSnippet, {
+					snippetsDir,
+					variables: {edition: 'self-hosted'},
+				})
+		);
 
-		st.match(
-			consoleErrorSpy.calls[0][0],
-			/Error reading snippet file/,
-			'Should log error for HTTP error'
+		st.equal(result, 'Before\n\nAfter\n');
+		st.same(
+			file.data.snippetDependencies,
+			[],
+			'Should not resolve the snippet'
+		);
+		st.end();
+	});
+
+	t.test('Invalid conditions are reported', async (st) => {
+		const {result, file} = await mockWithFile(
+			`<Snippet file="simple.mdx" if="edition ===" />`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
 		);
+
+		st.equal(file.messages.length, 1);
+		st.equal(file.messages[0].ruleId, 'invalid-condition');
 		st.match(
-			consoleErrorSpy.calls[0][2],
-			/Remote URL: https:\/\/example\.com\/not-found\.md/,
-			'Should show remote URL in error message'
+			file.messages[0].reason,
+			/Invalid condition "edition ===": unexpected end/
 		);
+		st.match(result, /<Snippet/, 'Should keep the element');
 		st.end();
 	});
 
-	t.test('Error handling - Network error', async (st) => {
-		const originalFetch = global.fetch;
-		const mockResponses = {
-			'https://example.com/network-error.md': {
-				error: 'Network timeout',
-			},
-		};
-
-		global.fetch = createFetchMock(mockResponses);
-		const consoleErrorSpy = st.capture(console, 'error');
-		st.teardown(() => {
-			global.fetch = originalFetch;
-		});
+	t.test('Children fill the slots of a snippet', async (st) => {
+		const {result, file} = await mockWithFile(
+			[
+				'<Snippet file="callout.mdx">',
+				'  Be **careful**.',
+				'',
+				'  <Snippet file="child.mdx" />',
+				'',
+				'  <template slot="footer">',
+				'    See the docs.',
+				'  </template>',
+				'</Snippet>',
+			].join('\n'),
+			(processor) =>
+				processor.use(mdxSnippet, {snippetsDir, processor: processor()})
+		);
 
-		const mdx = `
-# Test Document
+		st.equal(file.messages.length, 0);
+		st.equal(
+			result,
+			'<Warning>\n  Be **careful**.\n\n  * List item 1\n  * List item 2\n\n  See the docs.\n</Warning>\n',
+			'Should expand snippets in the slot content from the page'
+		);
+		st.end();
+	});
 
-<Snippet file="https://example.com/network-error.md" />
-`;
+	t.test('Slots without content keep their fallback', async (st) => {
+		const result = await mock(`<Snippet file="callout.mdx" />`, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir, processor: processor()})
+		);
 
-		try {
-			await mock(mdx, (processor) => processor.use(mdxSnippet, {snippetsDir}));
-			st.pass('Should not throw on network error');
-		} catch (error) {
-			st.fail('Should not throw on network error');
-		}
+		st.equal(result, '<Warning>\n  No footer.\n</Warning>\n');
+		st.end();
+	});
 
-		st.match(
-			consoleErrorSpy.calls[0][0],
-			/Error reading snippet file/,
-			'Should log error for network error'
+	t.test('Inline snippets fill inline slots', async (st) => {
+		const result = await mock(
+			'Now <Snippet file="badge.mdx">beta</Snippet>, before <Snippet file="badge.mdx" />.',
+			(processor) =>
+				processor.use(mdxSnippet, {snippetsDir, processor: processor()})
 		);
-		// Check that the error message includes network timeout details
-		// The error details are in the last parameter of console.error
-		const errorCall = consoleErrorSpy.calls[0];
-		const errorMessage = errorCall[errorCall.length - 1];
-		st.match(
-			errorMessage,
-			/Network timeout/,
-			'Should include network error details'
+
+		st.equal(result, 'Now Status: **beta**, before Status: **stable**.\n');
+		st.end();
+	});
+
+	t.test('Snippets can forward their slots', async (st) => {
+		const result = await mock(
+			'<Snippet file="callout-wrapper.mdx">\n  Inner\n</Snippet>',
+			(processor) =>
+				processor.use(mdxSnippet, {snippetsDir, processor: processor()})
 		);
+
+		st.equal(result, '<Warning>\n  Inner\n\n  Wrapped.\n</Warning>\n');
 		st.end();
 	});
 
-	t.test('Mixed local and remote files', async (st) => {
-		const originalFetch = global.fetch;
-		const mockResponses = {
-			'https://example.com/mixed-test.md': {
-				content: '# Mixed Test Remote\n\nThis is from a remote source.',
-			},
-		};
+	t.test('CSV files can be rendered as tables', async (st) => {
+		const result = await mock(
+			`<Snippet file="env-vars.csv" as="table" />`,
+			(processor) => processor.use(remarkGfm).use(mdxSnippet, {snippetsDir})
+		);
 
-		global.fetch = createFetchMock(mockResponses);
-		st.teardown(() => {
-			global.fetch = originalFetch;
-		});
+		st.equal(
+			result,
+			[
+				'| name  | description                   | default |',
+				'| ----- | ----------------------------- | ------- |',
+				'| PORT  | Port to listen on, usually 80 | 3000    |',
+				'| DEBUG | Log "everything"              |         |',
+				'',
+			].join('\n')
+		);
+		st.end();
+	});
 
-		const mdx = `
-# Test Document
+	t.test('Selected data can be rendered as lists', async (st) => {
+		const result = await mock(
+			`<Snippet file="limits.json" select="plans[0].limits" as="list" />`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
 
-Local snippet:
-<Snippet file="simple.mdx" />
+		st.equal(result, '* **seats**: 3\n* **regions**\n  * eu\n  * us\n');
+		st.end();
+	});
 
-Remote snippet:
-<Snippet file="https://example.com/mixed-test.md" />
+	t.test('Selected data without as is a code block', async (st) => {
+		const result = await mock(
+			`<Snippet file="company.yaml" select="plan" />`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
 
-Another local snippet:
-<Snippet file="secondary.mdx" />
-`;
+		st.equal(result, '```yaml\nseats: 5\n```\n');
+		st.end();
+	});
 
-		const result = await mock(mdx, (processor) =>
-			processor.use(mdxSnippet, {snippetsDir})
+	t.test('Data files are bound as props', async (st) => {
+		const {result, file} = await mockWithFile(
+			`<Snippet file="plan.mdx" data="company.yaml" />\n\n<Snippet file="plan.mdx" data="company.yaml" name="Globex" />`,
+			(processor) =>
+				processor.use(mdxSnippet, {snippetsDir, processor: processor()})
 		);
 
-		// Check local files
-		st.match(result, /# Hello Snippet/, 'Should include first local snippet');
-		st.match(
-			result,
-			/# Secondary Snippet/,
-			'Should include second local snippet'
+		st.equal(file.messages.length, 0);
+		st.match(result, /^Acme allows 5 seats\.$/m);
+		st.match(result, /^Globex allows 5 seats\.$/m, 'Should let props win');
+		st.match(result, /acme --seats 5/);
+		st.ok(
+			file.data.snippetDependencies.includes(
+				path.join(snippetsDir, 'company.yaml')
+			)
 		);
+		st.end();
+	});
 
-		// Check remote file
-		st.match(result, /# Mixed Test Remote/, 'Should include remote snippet');
-		st.match(
-			result,
-			/This is from a remote source\./,
-			'Should include remote content'
+	t.test('Problems with data are reported', async (st) => {
+		const {file} = await mockWithFile(
+			[
+				`<Snippet file="limits.json" select="plans[5]" as="list" />`,
+				`<Snippet file="limits.json" as="chart" />`,
+				`<Snippet file="simple.mdx" as="table" />`,
+				`<Snippet file="plan.mdx" data="limits.json" select="plans" />`,
+			].join('\n\n'),
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
 		);
 
-		// Check original content is preserved
-		st.match(result, /Local snippet:/, 'Should preserve local content markers');
+		st.same(
+			file.messages.map((message) => message.ruleId),
+			['missing-data', 'invalid-handler', 'invalid-data', 'invalid-data']
+		);
+		st.match(file.messages[0].reason, /Nothing at "plans\[5\]"/);
 		st.match(
-			result,
-			/Remote snippet:/,
-			'Should preserve remote content markers'
+			file.messages[1].reason,
+			/expected one of: markdown, mdx, code, raw-html, text, table, list/
 		);
+		st.match(file.messages[3].reason, /must hold an object/);
 		st.end();
 	});
 
-	t.test('Remote files with nested content', async (st) => {
-		const originalFetch = global.fetch;
-		const mockResponses = {
-			'https://example.com/nested-remote.md': {
-				content: '# Remote Parent\n\n<Snippet file="child.mdx" />',
-			},
-		};
+	t.test('Text, HTML and markdown extensions have handlers', async (st) => {
+		const result = await mock(
+			[
+				`<Snippet file="notes.txt" />`,
+				`<Snippet file="banner.html" />`,
+				`<Snippet file="guide.markdown" />`,
+			].join('\n\n'),
+			(processor) =>
+				processor.use(remarkGfm).use(mdxSnippet, {
+					snippetsDir,
+					processor: unified().use(remarkParse),
+				})
+		);
 
-		global.fetch = createFetchMock(mockResponses);
-		st.teardown(() => {
-			global.fetch = originalFetch;
-		});
+		st.equal(
+			result,
+			[
+				'Remember to \\*restart\\*',
+				'the server.',
+				'',
+				'Then log in.',
+				'',
+				'<div class="banner">',
+				'  <b>New</b>',
+				'</div>',
+				'',
+				'## Guide',
+				'',
+				'| Step | Command |',
+				'| ---- | ------- |',
+				'| 1    | `init`  |',
+				'',
+			].join('\n')
+		);
+		st.end();
+	});
 
-		const mdx = `
-# Test Document
+	t.test('Handlers can be set per extension and per tag', async (st) => {
+		const {result, file} = await mockWithFile(
+			[
+				`<Snippet file="notes.txt" as="code" />`,
+				`<Snippet file="simple.mdx" as="text" lines="3" />`,
+				`<Snippet file="env-vars.csv" tone="loud" />`,
+				`<Snippet file="guide.markdown" as="html" />`,
+			].join('\n\n'),
+			(processor) =>
+				processor.use(mdxSnippet, {
+					snippetsDir,
+					extensions: {
+						'.CSV': (content, {extension, props}) => ({
+							type: 'paragraph',
+							children: [
+								{
+									type: 'text',
+									value: `${extension} with ${
+										content.trim().split('\n').length
+									} lines, ${props.tone}`,
+								},
+							],
+						}),
+					},
+				})
+		);
 
-<Snippet file="https://example.com/nested-remote.md" />
-`;
+		st.match(result, /^```txt\nRemember to \*restart\*$/m);
+		st.match(result, /^This is a simple snippet\.$/m);
+		st.match(result, /^csv with 3 lines, loud$/m);
+		st.same(
+			file.messages.map((message) => message.ruleId),
+			['invalid-handler']
+		);
+		st.throws(
+			() => mdxSnippet({extensions: {txt: 'plain'}}),
+			/Expected the handler of "txt" to be a function or one of: markdown/
+		);
+		st.end();
+	});
+
+	t.test('One file can be included as markdown and as MDX', async (st) => {
+		const includes = [
+			`<Snippet file="dual.md" as="markdown" />`,
+			`<Snippet file="dual.md" />`,
+		];
+
+		for (const order of [includes, [...includes].reverse()]) {
+			const result = await mock(order.join('\n\n'), (processor) =>
+				processor.use(mdxSnippet, {
+					snippetsDir,
+					processor: unified().use(remarkParse),
+				})
+			);
+
+			st.equal(
+				result.split('<Snippet file="simple.mdx" />').length,
+				2,
+				'Should keep the nested snippet of the markdown include'
+			);
+			st.equal(
+				result.split('This is a simple snippet.').length,
+				2,
+				'Should expand the nested snippet of the MDX include'
+			);
+		}
+
+		st.end();
+	});
+
+	t.test('Props are passed through nested snippets', async (st) => {
+		const mdx = `<Snippet file="props-parent.mdx" pkg="@acme/ui" />`;
 
 		const result = await mock(mdx, (processor) =>
 			processor.use(mdxSnippet, {snippetsDir, processor: processor()})
 		);
 
-		st.match(result, /# Remote Parent/, 'Should include remote parent content');
 		st.match(
 			result,
-			/\* List item 1/,
-			'Should process nested local snippet from remote content'
+			/Hello @acme\/ui!/,
+			'Should substitute props into nested snippet attributes'
 		);
 		st.end();
 	});
 
-	t.test('Multiple remote files', async (st) => {
-		const originalFetch = global.fetch;
-		const mockResponses = {
-			'https://api.example.com/snippet1.md': {
-				content: '# First Remote\n\nFirst remote snippet content.',
-			},
-			'https://cdn.example.com/snippet2.md': {
-				content: '# Second Remote\n\nSecond remote snippet content.',
+	t.test('Missing props are reported on the file', async (st) => {
+		const mdx = `<Snippet file="install.mdx" pkg="@acme/ui" />`;
+
+		const {result, file} = await mockWithFile(mdx, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.equal(file.messages.length, 1, 'Should report one message');
+		st.match(
+			file.messages[0].reason,
+			/Missing prop "version" for snippet "install\.mdx"/,
+			'Should name the missing prop and snippet'
+		);
+		st.equal(file.messages[0].ruleId, 'missing-prop');
+		st.equal(file.messages[0].line, 1, 'Should point at the snippet element');
+		st.match(
+			result,
+			/npm i @acme\/ui@\{\{version\}\}/,
+			'Should leave the placeholder in place'
+		);
+		st.end();
+	});
+
+	t.test('Circular includes fail with the full chain', async (st) => {
+		const mdx = `
+# Test Document
+
+<Snippet file="cycle-a.mdx" />
+`;
+
+		const file = new VFile({value: mdx, path: 'test.mdx'});
+		const processor = unified().use(remarkParse).use(remarkMdx);
+		processor.use(mdxSnippet, {snippetsDir, processor: processor()});
+
+		await st.rejects(
+			processor.run(processor.parse(file), file),
+			{
+				ruleId: 'circular-include',
+				message:
+					/_test_snippets\/cycle-a\.mdx → _test_snippets\/cycle-b\.mdx → _test_snippets\/cycle-a\.mdx/,
 			},
-		};
+			'Should reject with the include cycle'
+		);
 
-		global.fetch = createFetchMock(mockResponses);
-		st.teardown(() => {
-			global.fetch = originalFetch;
+		const [message] = file.messages;
+		st.ok(message, 'Should report the cycle on the root file');
+		st.match(
+			message.reason,
+			/_test_snippets\/cycle-b\.mdx:3:1 includes _test_snippets\/cycle-a\.mdx/,
+			'Should include the position of every include'
+		);
+		st.end();
+	});
+
+	t.test('Includes deeper than maxDepth fail', async (st) => {
+		const mdx = `<Snippet file="depth-1.mdx" />`;
+
+		const processor = unified().use(remarkParse).use(remarkMdx);
+		processor.use(mdxSnippet, {
+			snippetsDir,
+			processor: processor(),
+			maxDepth: 2,
 		});
 
+		await st.rejects(
+			processor.run(processor.parse(mdx)),
+			{ruleId: 'max-depth', message: /deeper than maxDepth \(2\)/},
+			'Should reject when nesting exceeds maxDepth'
+		);
+
+		const result = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {
+				snippetsDir,
+				processor: processor(),
+				maxDepth: 3,
+			})
+		);
+
+		st.match(result, /\* List item 1/, 'Should allow nesting up to maxDepth');
+		st.end();
+	});
+
+	t.test('Line ranges select part of a code snippet', async (st) => {
+		const mdx = `<Snippet file="server.ts" lines="1,3-5" />`;
+
+		const result = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.equal(
+			result,
+			"```ts\nimport http from 'node:http';\nexport function start() {\n\tconst server = http.createServer();\n```\n",
+			'Should include the selected lines without region markers'
+		);
+		st.end();
+	});
+
+	t.test('Regions select part of a code snippet', async (st) => {
+		const mdx = `<Snippet file="server.ts" region="setup" />`;
+
+		const result = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.equal(
+			result,
+			'```ts\nconst server = http.createServer();\nserver.listen(3000);\n```\n',
+			'Should include the region, strip nested markers and dedent'
+		);
+		st.end();
+	});
+
+	t.test('Missing regions and invalid lines are reported', async (st) => {
 		const mdx = `
-# Test Document
+<Snippet file="server.ts" region="teardown" />
 
-<Snippet file="https://api.example.com/snippet1.md" />
+<Snippet file="server.ts" lines="10-40" />
+`;
 
-Some content in between.
+		const {result, file} = await mockWithFile(mdx, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir})
+		);
 
-<Snippet file="https://cdn.example.com/snippet2.md" />
+		st.equal(file.messages.length, 2, 'Should report both problems');
+		st.equal(file.messages[0].ruleId, 'missing-region');
+		st.match(file.messages[0].reason, /Region "teardown" not found/);
+		st.equal(file.messages[0].line, 2, 'Should point at the snippet element');
+		st.equal(file.messages[1].ruleId, 'invalid-lines');
+		st.match(
+			file.messages[1].reason,
+			/Line range "10-40" is outside of server\.ts \(11 lines\)/
+		);
+		st.match(result, /<Snippet file="server.ts"/, 'Should keep the element');
+		st.end();
+	});
+
+	t.test('Sections select part of a markdown snippet', async (st) => {
+		const result = await mock(
+			`<Snippet file="guide.md" section="Configuration" />`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.match(result, /## Configuration\s+Configure it\./);
+		st.match(result, /### Options\s+Some options\./, 'Should keep subsections');
+		st.notMatch(result, /Intro|Use it/, 'Should stop at the next heading');
+		st.end();
+	});
+
+	t.test('Sections can be selected by anchor', async (st) => {
+		const result = await mock(
+			`<Snippet file="guide.md" section="#usage-1" sectionHeading={false} />`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.equal(
+			result,
+			'Use it again.\n',
+			'Should number duplicate anchors and drop the heading'
+		);
+		st.end();
+	});
+
+	t.test('Missing sections are reported', async (st) => {
+		const {result, file} = await mockWithFile(
+			`\n<Snippet file="guide.md" section="#install" />`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.equal(file.messages.length, 1);
+		st.equal(file.messages[0].ruleId, 'missing-section');
+		st.match(
+			file.messages[0].reason,
+			/Section "#install" not found in guide\.md/
+		);
+		st.equal(file.messages[0].line, 2, 'Should point at the snippet element');
+		st.match(result, /<Snippet file="guide.md"/, 'Should keep the element');
+		st.end();
+	});
+
+	t.test('Snippets are inserted as siblings', async (st) => {
+		const mdx = `# Doc\n\n<Snippet file="simple.mdx" />\n\nAfter`;
+
+		const result = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.equal(
+			result,
+			'# Doc\n\n# Hello Snippet\n\nThis is a simple snippet.\n\nAfter\n',
+			'Should splice the snippet nodes into the parent'
+		);
+
+		const wrapped = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir, fragment: true})
+		);
+
+		st.match(wrapped, /<>\n\s+# Hello Snippet/, 'Should wrap in a fragment');
+		st.end();
+	});
+
+	t.test('Inline snippets unwrap their paragraph', async (st) => {
+		const result = await mock(
+			`Version <Snippet file="version.md" /> is out!`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.equal(result, 'Version **2.1.0** is out!\n');
+		st.end();
+	});
+
+	t.test('Inline snippets with block content are reported', async (st) => {
+		const {result, file} = await mockWithFile(
+			`See <Snippet file="simple.mdx" /> here`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.equal(file.messages.length, 1);
+		st.equal(file.messages[0].ruleId, 'inline-block-content');
+		st.match(
+			result,
+			/<Snippet file="simple.mdx" \/>/,
+			'Should keep the element'
+		);
+		st.end();
+	});
+
+	t.test('Headings can be shifted by an offset', async (st) => {
+		const mdx = `
+### Section
+
+<Snippet file="simple.mdx" headingOffset="2" />
+
+<Snippet file="secondary.mdx" headingOffset={9} />
 `;
 
 		const result = await mock(mdx, (processor) =>
 			processor.use(mdxSnippet, {snippetsDir})
 		);
 
-		st.match(result, /# First Remote/, 'Should include first remote snippet');
+		st.match(result, /^### Hello Snippet$/m, 'Should shift the heading');
 		st.match(
 			result,
-			/First remote snippet content\./,
-			'Should include first remote content'
+			/^###### Secondary Snippet$/m,
+			'Should clamp the depth at 6'
 		);
-		st.match(result, /# Second Remote/, 'Should include second remote snippet');
+		st.end();
+	});
+
+	t.test('Headings can nest under the parent heading', async (st) => {
+		const mdx = `## Guide\n\n<Snippet file="outline.mdx" />`;
+
+		const result = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {
+				snippetsDir,
+				headingOffset: 'auto',
+				processor: processor(),
+			})
+		);
+
+		st.match(result, /^### Outline$/m, 'Should nest the top heading');
+		st.match(result, /^#### Details$/m, 'Should keep the outline');
 		st.match(
 			result,
-			/Second remote snippet content\./,
-			'Should include second remote content'
+			/^##### Nested Heading$/m,
+			'Should shift headings of nested snippets too'
+		);
+
+		const shifted = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {
+				snippetsDir,
+				headingOffset: 1,
+				processor: processor(),
+			})
+		);
+
+		st.match(shifted, /^## Outline$/m);
+		st.match(
+			shifted,
+			/^### Nested Heading$/m,
+			'Should shift headings of nested snippets once'
+		);
+		st.end();
+	});
+
+	t.test('Invalid heading offsets are reported', async (st) => {
+		const {file} = await mockWithFile(
+			`<Snippet file="simple.mdx" headingOffset="deep" />`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.equal(file.messages.length, 1);
+		st.equal(file.messages[0].ruleId, 'invalid-heading-offset');
+		st.match(file.messages[0].reason, /Invalid headingOffset "deep"/);
+		st.end();
+	});
+
+	t.end();
+});
+
+tap.test('mdxSnippet plugin - Remote Files', (t) => {
+	// Setup temporary snippets directory for mixed tests
+	const {dir: snippetsDir, cleanup} = setupTempSnippetsDir();
+
+	t.teardown(cleanup);
+
+	t.test('Basic remote file inclusion', async (st) => {
+		const mdx = `
+# Test Document
+
+<Snippet file="https://raw.githubusercontent.com/anubra266/remark-mdx-snippets/refs/heads/main/readme.md" />
+`;
+
+		const result = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir})
 		);
+
+		// Test for specific content from the remark-mdx-snippets README
 		st.match(
 			result,
-			/Some content in between\./,
-			'Should preserve content between snippets'
+			/remark-mdx-snippets/,
+			'Should include project name from README'
+		);
+		st.match(
+			result,
+			/Snippets for your markdown/,
+			'Should include project description from README'
+		);
+		st.match(
+			result,
+			/Reusable and nestable snippets inspired by.*Mintlify/,
+			'Should include the inspiration description from README'
 		);
+		// Should not contain the specific original Snippet tag if processed successfully
+		st.notMatch(
+			result,
+			/remark-mdx-snippets\/refs\/heads\/main\/readme\.md/,
+			'Should replace the specific Snippet tag with actual content'
+		);
+		st.end();
+	});
+
+	t.test(
+		'Custom element and file attribute names with remote files',
+		async (st) => {
+			const originalFetch = global.fetch;
+			const mockResponses = {
+				'https://example.com/custom-remote.md': {
+					content: '# Custom Remote\n\nCustom element test with remote file.',
+				},
+			};
+
+			global.fetch = createFetchMock(mockResponses);
+			st.teardown(() => {
+				global.fetch = originalFetch;
+			});
+
+			const mdx = `
+# Test Document
+
+<CodeSnippet source="https://example.com/custom-remote.md" />
+`;
+
+			const result = await mock(mdx, (processor) =>
+				processor.use(mdxSnippet, {
+					snippetsDir,
+					elementName: 'CodeSnippet',
+					fileAttribute: 'source',
+				})
+			);
+
+			st.match(
+				result,
+				/# Custom Remote/,
+				'Should work with custom element name and remote URL'
+			);
+			st.end();
+		}
+	);
+
+	t.test('Error handling - HTTP error response', async (st) => {
+		const originalFetch = global.fetch;
+		const mockResponses = {
+			'https://example.com/not-found.md': {
+				ok: false,
+				status: 404,
+				statusText: 'Not Found',
+			},
+		};
+
+		global.fetch = createFetchMock(mockResponses);
+		st.teardown(() => {
+			global.fetch = originalFetch;
+		});
+
+		const mdx = `
+# Test Document
+
+<Snippet file="https://example.com/not-found.md" />
+`;
+		let file;
+
+		try {
+			({file} = await mockWithFile(mdx, (processor) =>
+				processor.use(mdxSnippet, {snippetsDir})
+			));
+			st.pass('Should not throw on HTTP error');
+		} catch (error) {
+			st.fail('Should not throw on HTTP error');
+		}
+
+		st.equal(file.messages[0].ruleId, 'fetch-error');
+		st.match(
+			file.messages[0].reason,
+			/https:\/\/example\.com\/not-found\.md: HTTP 404/,
+			'Should show remote URL in error message'
+		);
+		st.end();
+	});
+
+	t.test('Error handling - Network error', async (st) => {
+		const originalFetch = global.fetch;
+		const mockResponses = {
+			'https://example.com/network-error.md': {
+				error: 'Network timeout',
+			},
+		};
+
+		global.fetch = createFetchMock(mockResponses);
+		st.teardown(() => {
+			global.fetch = originalFetch;
+		});
+
+		const mdx = `
+# Test Document
+
+<Snippet file="https://example.com/network-error.md" />
+`;
+		let file;
+
+		try {
+			({file} = await mockWithFile(mdx, (processor) =>
+				processor.use(mdxSnippet, {snippetsDir})
+			));
+			st.pass('Should not throw on network error');
+		} catch (error) {
+			st.fail('Should not throw on network error');
+		}
+
+		st.equal(file.messages[0].ruleId, 'fetch-error');
+		// Check that the message includes network timeout details
+		st.match(
+			file.messages[0].reason,
+			/Network timeout/,
+			'Should include network error details'
+		);
+		st.end();
+	});
+
+	t.test('Mixed local and remote files', async (st) => {
+		const originalFetch = global.fetch;
+		const mockResponses = {
+			'https://example.com/mixed-test.md': {
+				content: '# Mixed Test Remote\n\nThis is from a remote source.',
+			},
+		};
+
+		global.fetch = createFetchMock(mockResponses);
+		st.teardown(() => {
+			global.fetch = originalFetch;
+		});
+
+		const mdx = `
+# Test Document
+
+Local snippet:
+<Snippet file="simple.mdx" />
+
+Remote snippet:
+<Snippet file="https://example.com/mixed-test.md" />
+
+Another local snippet:
+<Snippet file="secondary.mdx" />
+`;
+
+		const result = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		// Check local files
+		st.match(result, /# Hello Snippet/, 'Should include first local snippet');
+		st.match(
+			result,
+			/# Secondary Snippet/,
+			'Should include second local snippet'
+		);
+
+		// Check remote file
+		st.match(result, /# Mixed Test Remote/, 'Should include remote snippet');
+		st.match(
+			result,
+			/This is from a remote source\./,
+			'Should include remote content'
+		);
+
+		// Check original content is preserved
+		st.match(result, /Local snippet:/, 'Should preserve local content markers');
+		st.match(
+			result,
+			/Remote snippet:/,
+			'Should preserve remote content markers'
+		);
+		st.end();
+	});
+
+	t.test('Remote files with nested content', async (st) => {
+		const originalFetch = global.fetch;
+		const mockResponses = {
+			'https://example.com/nested-remote.md': {
+				content: '# Remote Parent\n\n<Snippet file="child.mdx" />',
+			},
+		};
+
+		global.fetch = createFetchMock(mockResponses);
+		st.teardown(() => {
+			global.fetch = originalFetch;
+		});
+
+		const mdx = `
+# Test Document
+
+<Snippet file="https://example.com/nested-remote.md" />
+`;
+
+		const result = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir, processor: processor()})
+		);
+
+		st.match(result, /# Remote Parent/, 'Should include remote parent content');
+		st.match(
+			result,
+			/\* List item 1/,
+			'Should process nested local snippet from remote content'
+		);
+		st.end();
+	});
+
+	t.test('Multiple remote files', async (st) => {
+		const originalFetch = global.fetch;
+		const mockResponses = {
+			'https://api.example.com/snippet1.md': {
+				content: '# First Remote\n\nFirst remote snippet content.',
+			},
+			'https://cdn.example.com/snippet2.md': {
+				content: '# Second Remote\n\nSecond remote snippet content.',
+			},
+		};
+
+		global.fetch = createFetchMock(mockResponses);
+		st.teardown(() => {
+			global.fetch = originalFetch;
+		});
+
+		const mdx = `
+# Test Document
+
+<Snippet file="https://api.example.com/snippet1.md" />
+
+Some content in between.
+
+<Snippet file="https://cdn.example.com/snippet2.md" />
+`;
+
+		const result = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.match(result, /# First Remote/, 'Should include first remote snippet');
+		st.match(
+			result,
+			/First remote snippet content\./,
+			'Should include first remote content'
+		);
+		st.match(result, /# Second Remote/, 'Should include second remote snippet');
+		st.match(
+			result,
+			/Second remote snippet content\./,
+			'Should include second remote content'
+		);
+		st.match(
+			result,
+			/Some content in between\./,
+			'Should preserve content between snippets'
+		);
+		st.end();
+	});
+
+	t.end();
+});
+
+tap.test('mdxSnippet plugin - Remote Cache', (t) => {
+	const {dir: snippetsDir, cleanup} = setupTempSnippetsDir();
+	const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snippets-cache-'));
+	const originalFetch = global.fetch;
+	const mockResponses = {
+		'https://example.com/cached.md': {
+			content: '# Cached Remote\n\nServed from the cache.',
+			headers: {etag: '"v1"'},
+		},
+	};
+
+	t.teardown(() => {
+		cleanup();
+		fs.rmSync(cacheDir, {recursive: true, force: true});
+		global.fetch = originalFetch;
+	});
+
+	t.test('Same URL is fetched once per run', async (st) => {
+		global.fetch = createFetchMock(mockResponses);
+
+		const mdx = `
+<Snippet file="https://example.com/cached.md" />
+
+<Snippet file="https://example.com/cached.md" />
+
+<Snippet file="https://example.com/cached.md" />
+`;
+
+		const result = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.equal(result.match(/# Cached Remote/g).length, 3, 'Should expand all');
+		st.equal(global.fetch.calls.length, 1, 'Should fetch the URL once');
+		st.end();
+	});
+
+	t.test('Later runs fetch again', async (st) => {
+		const url = 'https://example.com/flaky.md';
+		global.fetch = createFetchMock({
+			[url]: [{error: 'read ECONNRESET'}, {content: '# Recovered'}],
+		});
+		const processor = unified()
+			.use(remarkParse)
+			.use(remarkMdx)
+			.use(mdxSnippet, {snippetsDir, retries: 0})
+			.use(remarkStringify)
+			.freeze();
+		const mdx = `<Snippet file="${url}" />`;
+
+		const failed = await processor.process(mdx);
+		const recovered = await processor.process(mdx);
+		const shared = await processor.process(mdx);
+
+		st.equal(failed.messages[0].ruleId, 'fetch-error');
+		st.same(recovered.messages, [], 'Should not keep the failed request');
+		st.match(String(recovered), /# Recovered/);
+		st.match(String(shared), /# Recovered/);
+		st.equal(
+			global.fetch.calls.length,
+			2,
+			'Should share the fetched URL with later pages'
+		);
+		st.end();
+	});
+
+	t.test('Disk cache revalidates with the stored ETag', async (st) => {
+		global.fetch = createFetchMock(mockResponses);
+		const mdx = `<Snippet file="https://example.com/cached.md" />`;
+
+		await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir, cacheDir})
+		);
+		st.equal(
+			fs.readdirSync(path.join(cacheDir, 'remote')).length,
+			1,
+			'Should write the response to the cache'
+		);
+
+		const result = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {snippetsDir, cacheDir})
+		);
+		const [, revalidation] = global.fetch.calls;
+
+		st.equal(
+			revalidation.options.headers['If-None-Match'],
+			'"v1"',
+			'Should send the cached ETag'
+		);
+		st.match(result, /# Cached Remote/, 'Should use the cached content on 304');
+		st.end();
+	});
+
+	t.test('Offline mode serves from the cache only', async (st) => {
+		global.fetch = async () => {
+			throw new Error('Should not fetch in offline mode');
+		};
+
+		const {result, file} = await mockWithFile(
+			`
+<Snippet file="https://example.com/cached.md" />
+
+<Snippet file="https://example.com/uncached.md" />
+`,
+			(processor) =>
+				processor.use(mdxSnippet, {snippetsDir, cacheDir, offline: true})
+		);
+
+		st.match(result, /# Cached Remote/, 'Should serve cached snippets');
+		st.equal(file.messages.length, 1, 'Should report the cache miss');
+		st.equal(file.messages[0].ruleId, 'offline-cache-miss');
+		st.match(file.messages[0].reason, /uncached\.md is not cached/);
+		st.end();
+	});
+
+	t.end();
+});
+
+tap.test('mdxSnippet plugin - Remote Safeguards', (t) => {
+	const {dir: snippetsDir, cleanup} = setupTempSnippetsDir();
+	const originalFetch = global.fetch;
+
+	t.teardown(() => {
+		cleanup();
+		global.fetch = originalFetch;
+	});
+
+	t.test('Requests time out', async (st) => {
+		global.fetch = createFetchMock({
+			'https://example.com/slow.md': {content: '# Slow', delay: 1000},
+		});
+
+		const {file} = await mockWithFile(
+			`<Snippet file="https://example.com/slow.md" />`,
+			(processor) =>
+				processor.use(mdxSnippet, {snippetsDir, timeout: 20, retries: 0})
+		);
+
+		st.equal(file.messages[0].ruleId, 'fetch-error');
+		st.match(file.messages[0].reason, /Request timed out after 20ms/);
+		st.end();
+	});
+
+	t.test('Server errors are retried with backoff', async (st) => {
+		global.fetch = createFetchMock({
+			'https://example.com/flaky.md': [
+				{ok: false, status: 503, statusText: 'Service Unavailable'},
+				{error: 'socket hang up'},
+				{content: '# Flaky Remote'},
+			],
+			'https://example.com/missing.md': {
+				ok: false,
+				status: 404,
+				statusText: 'Not Found',
+			},
+		});
+
+		const result = await mock(
+			`
+<Snippet file="https://example.com/flaky.md" />
+
+<Snippet file="https://example.com/missing.md" />
+`,
+			(processor) =>
+				processor.use(mdxSnippet, {snippetsDir, retries: 2, retryDelay: 1})
+		);
+		const attempts = (url) =>
+			global.fetch.calls.filter((call) => call.url === url).length;
+
+		st.match(result, /# Flaky Remote/, 'Should succeed after retrying');
+		st.equal(attempts('https://example.com/flaky.md'), 3);
+		st.equal(
+			attempts('https://example.com/missing.md'),
+			1,
+			'Should not retry client errors'
+		);
+		st.end();
+	});
+
+	t.test('Responses larger than maxSize are rejected', async (st) => {
+		global.fetch = createFetchMock({
+			'https://example.com/large.md': {
+				content: '# Large\n\n' + 'a'.repeat(100),
+			},
+		});
+
+		const {result, file} = await mockWithFile(
+			`<Snippet file="https://example.com/large.md" />`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir, maxSize: 64})
+		);
+
+		st.equal(file.messages[0].ruleId, 'max-size');
+		st.match(file.messages[0].reason, /exceeds maxSize of 64 bytes/);
+		st.notMatch(result, /# Large/, 'Should not include the content');
+		st.end();
+	});
+
+	t.test('Hosts are checked against allow and deny lists', async (st) => {
+		global.fetch = createFetchMock({
+			'https://docs.example.com/allowed.md': {content: '# Allowed'},
+			'https://other.test/blocked.md': {content: '# Blocked'},
+			'https://internal.example.com/denied.md': {content: '# Denied'},
+		});
+
+		const {result, file} = await mockWithFile(
+			`
+<Snippet file="https://docs.example.com/allowed.md" />
+
+<Snippet file="https://other.test/blocked.md" />
+
+<Snippet file="https://internal.example.com/denied.md" />
+`,
+			(processor) =>
+				processor.use(mdxSnippet, {
+					snippetsDir,
+					allowedHosts: ['*.example.com'],
+					deniedHosts: ['internal.example.com'],
+				})
+		);
+
+		st.match(result, /# Allowed/, 'Should fetch from allowed hosts');
+		st.same(
+			file.messages.map((message) => message.ruleId),
+			['host-not-allowed', 'host-not-allowed']
+		);
+		st.same(
+			global.fetch.calls.map((call) => call.url),
+			['https://docs.example.com/allowed.md'],
+			'Should never request blocked hosts'
+		);
+		st.end();
+	});
+
+	t.test('Trailing dots do not bypass host lists', async (st) => {
+		global.fetch = createFetchMock({
+			'https://evil.com./x.md': {content: '# Evil'},
+			'https://docs.example.com./y.md': {content: '# Docs'},
+		});
+
+		const {result, file} = await mockWithFile(
+			`
+<Snippet file="https://evil.com./x.md" />
+
+<Snippet file="https://docs.example.com./y.md" />
+`,
+			(processor) =>
+				processor.use(mdxSnippet, {
+					snippetsDir,
+					deniedHosts: ['evil.com'],
+					headers: {'docs.example.com.': {Authorization: 'token abc'}},
+				})
+		);
+
+		st.same(
+			file.messages.map((message) => message.ruleId),
+			['host-not-allowed']
+		);
+		st.same(
+			global.fetch.calls.map((call) => call.url),
+			['https://docs.example.com./y.md'],
+			'Should never request denied hosts'
+		);
+		st.equal(global.fetch.calls[0].options.headers.Authorization, 'token abc');
+		st.match(result, /# Docs/);
+		st.end();
+	});
+
+	t.test('Headers are sent per host', async (st) => {
+		global.fetch = createFetchMock({
+			'https://private.example.com/secret.md': {content: '# Secret'},
+			'https://public.example.org/open.md': {content: '# Open'},
+		});
+
+		await mock(
+			`
+<Snippet file="https://private.example.com/secret.md" />
+
+<Snippet file="https://public.example.org/open.md" />
+`,
+			(processor) =>
+				processor.use(mdxSnippet, {
+					snippetsDir,
+					headers: {'private.example.com': {Authorization: 'token abc'}},
+				})
+		);
+
+		const [privateCall, publicCall] = global.fetch.calls;
+		st.equal(privateCall.options.headers.Authorization, 'token abc');
+		st.notOk(
+			'Authorization' in publicCall.options.headers,
+			'Should not send the headers to other hosts'
+		);
+		st.end();
+	});
+
+	t.test('Redirects are checked like the first URL', async (st) => {
+		global.fetch = createFetchMock({
+			'https://docs.example.com/moved.md': {
+				ok: false,
+				status: 302,
+				headers: {location: 'https://cdn.example.com/moved.md'},
+			},
+			'https://cdn.example.com/moved.md': {content: '# Moved'},
+			'https://docs.example.com/leak.md': {
+				ok: false,
+				status: 301,
+				headers: {location: 'https://evil.test/leak.md'},
+			},
+		});
+
+		const {result, file} = await mockWithFile(
+			`
+<Snippet file="https://docs.example.com/moved.md" />
+
+<Snippet file="https://docs.example.com/leak.md" />
+`,
+			(processor) =>
+				processor.use(mdxSnippet, {
+					snippetsDir,
+					allowedHosts: ['*.example.com'],
+					headers: {'docs.example.com': {Authorization: 'token abc'}},
+				})
+		);
+		const calls = new Map(global.fetch.calls.map((call) => [call.url, call]));
+
+		st.match(result, /# Moved/, 'Should follow redirects to allowed hosts');
+		st.same(
+			file.messages.map((message) => message.ruleId),
+			['host-not-allowed']
+		);
+		st.notOk(calls.has('https://evil.test/leak.md'), 'Should not follow');
+		st.equal(
+			calls.get('https://docs.example.com/moved.md').options.redirect,
+			'manual'
+		);
+		st.notOk(
+			'Authorization' in
+				calls.get('https://cdn.example.com/moved.md').options.headers,
+			'Should not send the headers to the redirected host'
+		);
+		st.end();
+	});
+
+	t.end();
+});
+
+tap.test('mdxSnippet plugin - Resolvers', (t) => {
+	const {dir: snippetsDir, cleanup} = setupTempSnippetsDir();
+	const originalFetch = global.fetch;
+
+	t.teardown(() => {
+		cleanup();
+		global.fetch = originalFetch;
+	});
+
+	t.test('Custom resolvers run first', async (st) => {
+		const mdx = `
+<Snippet file="cms:pricing" />
+
+<Snippet file="simple.mdx" />
+`;
+
+		const result = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {
+				snippetsDir,
+				resolvers: [
+					{
+						match: /^cms:/,
+						resolve: async (specifier) => ({
+							path: `${specifier.slice(4)}.md`,
+							value: `# From the CMS: ${specifier.slice(4)}`,
+							remote: false,
+						}),
+					},
+				],
+			})
+		);
+
+		st.match(result, /# From the CMS: pricing/, 'Should use the resolver');
+		st.match(result, /# Hello Snippet/, 'Should resolve other snippets');
+		st.end();
+	});
+
+	t.test('github: specifiers resolve to raw content URLs', async (st) => {
+		global.fetch = createFetchMock({
+			'https://raw.githubusercontent.com/acme/docs/v2/snippets/intro.md': {
+				content: '# From GitHub',
+			},
+			'https://raw.githubusercontent.com/acme/docs/HEAD/example.js': {
+				content: 'console.log("head");',
+			},
+		});
+
+		const result = await mock(
+			`
+<Snippet file="github:acme/docs@v2/snippets/intro.md" />
+
+<Snippet file="github:acme/docs/example.js" />
+`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.match(result, /# From GitHub/, 'Should fetch the ref');
+		st.match(result, /```js\nconsole.log\("head"\);/, 'Should default to HEAD');
+		st.end();
+	});
+
+	t.test('npm: specifiers resolve from node_modules', async (st) => {
+		const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'snippets-npm-'));
+		const packageDir = path.join(cwd, 'node_modules', '@acme', 'ui');
+		fs.mkdirSync(packageDir, {recursive: true});
+		fs.writeFileSync(path.join(packageDir, 'package.json'), '{}');
+		fs.writeFileSync(path.join(packageDir, 'usage.md'), '# Package Usage');
+		st.teardown(() => fs.rmSync(cwd, {recursive: true, force: true}));
+
+		const processor = unified()
+			.use(remarkParse)
+			.use(remarkMdx)
+			.use(mdxSnippet, {snippetsDir})
+			.use(remarkStringify);
+		const file = new VFile({
+			value: '<Snippet file="npm:@acme/ui/usage.md" />',
+			path: path.join(cwd, 'docs', 'index.mdx'),
+			cwd,
+		});
+		const tree = await processor.run(processor.parse(file), file);
+
+		st.match(processor.stringify(tree), /# Package Usage/);
+		st.equal(file.messages.length, 0, 'Should not report any messages');
+		st.end();
+	});
+
+	t.test('Snippet directories are searched in order', async (st) => {
+		const themeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snippets-theme-'));
+		fs.writeFileSync(path.join(themeDir, 'simple.mdx'), '# Theme Simple');
+		fs.writeFileSync(path.join(themeDir, 'footer.mdx'), '# Theme Footer');
+		st.teardown(() => fs.rmSync(themeDir, {recursive: true, force: true}));
+
+		const result = await mock(
+			`
+<Snippet file="simple.mdx" />
+
+<Snippet file="footer.mdx" />
+`,
+			(processor) =>
+				processor.use(mdxSnippet, {snippetsDir: [snippetsDir, themeDir]})
+		);
+
+		st.match(result, /# Hello Snippet/, 'Should prefer the first directory');
+		st.notMatch(result, /# Theme Simple/);
+		st.match(result, /# Theme Footer/, 'Should fall back to later directories');
+		st.end();
+	});
+
+	t.test('Relative paths resolve from the including file', async (st) => {
+		const result = await mock(
+			`<Snippet file="directory/relative-parent.mdx" />`,
+			(processor) =>
+				processor.use(mdxSnippet, {snippetsDir, processor: processor()})
+		);
+
+		st.match(result, /Relative sibling/, 'Should resolve ./ from the snippet');
+		st.match(result, /\* List item 1/, 'Should resolve ../ from the snippet');
+		st.end();
+	});
+
+	t.test('Relative paths in remote snippets resolve to URLs', async (st) => {
+		global.fetch = createFetchMock({
+			'https://example.com/docs/guide.md': {
+				content: '# Guide\n\n<Snippet file="./part.md" />',
+			},
+			'https://example.com/docs/part.md': {content: 'Remote part'},
+		});
+
+		const result = await mock(
+			`<Snippet file="https://example.com/docs/guide.md" />`,
+			(processor) =>
+				processor.use(mdxSnippet, {snippetsDir, processor: processor()})
+		);
+
+		st.match(result, /Remote part/);
+		st.end();
+	});
+
+	t.test('Aliases map to directories', async (st) => {
+		const result = await mock(
+			`<Snippet file="@shared/dir.mdx" />`,
+			(processor) =>
+				processor.use(mdxSnippet, {
+					snippetsDir,
+					aliases: {'@shared': path.join(snippetsDir, 'directory')},
+				})
+		);
+
+		st.match(result, /# Directory Snippet/);
+		st.end();
+	});
+
+	t.end();
+});
+
+tap.test('mdxSnippet plugin - Path Traversal', (t) => {
+	const {dir: snippetsDir, cleanup} = setupTempSnippetsDir();
+	const outsideDir = fs.mkdtempSync(
+		path.join(os.tmpdir(), 'snippets-outside-')
+	);
+	fs.writeFileSync(path.join(outsideDir, 'secret.env'), 'TOKEN=secret');
+	fs.symlinkSync(
+		path.join(outsideDir, 'secret.env'),
+		path.join(snippetsDir, 'link.env')
+	);
+
+	t.teardown(() => {
+		fs.unlinkSync(path.join(snippetsDir, 'link.env'));
+		fs.rmSync(outsideDir, {recursive: true, force: true});
+		cleanup();
+	});
+
+	t.test('Paths escaping the snippets directory are rejected', async (st) => {
+		const {result, file} = await mockWithFile(
+			`<Snippet file="../package.json" />`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.equal(file.messages[0].ruleId, 'outside-snippets-dir');
+		st.match(
+			file.messages[0].reason,
+			/Snippet "\.\.\/package\.json" resolves to .*package\.json, outside of the snippet directories/
+		);
+		st.notMatch(result, /remark-mdx-snippets/, 'Should not inline the file');
+		st.end();
+	});
+
+	t.test('Symlinks pointing outside are rejected', async (st) => {
+		const {result, file} = await mockWithFile(
+			`<Snippet file="link.env" />`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.equal(file.messages[0].ruleId, 'outside-snippets-dir');
+		st.notMatch(result, /TOKEN=secret/, 'Should not inline the target');
+		st.end();
+	});
+
+	t.test('allowOutsideSnippetsDir allows trusted setups', async (st) => {
+		const {result, file} = await mockWithFile(
+			`<Snippet file="link.env" />`,
+			(processor) =>
+				processor.use(mdxSnippet, {snippetsDir, allowOutsideSnippetsDir: true})
+		);
+
+		st.equal(file.messages.length, 0);
+		st.match(result, /TOKEN=secret/);
+		st.end();
+	});
+
+	t.end();
+});
+
+tap.test('mdxSnippet plugin - Performance', (t) => {
+	const {dir: snippetsDir, cleanup} = setupTempSnippetsDir();
+	t.teardown(cleanup);
+
+	t.test('Snippets used many times are parsed once', async (st) => {
+		const counter = createParseCounter();
+		const mdx = Array.from(
+			{length: 50},
+			() => '<Snippet file="simple.mdx" />\n\n<Snippet file="nested.mdx" />'
+		).join('\n\n');
+
+		const result = await mock(mdx, (processor) =>
+			processor.use(mdxSnippet, {
+				snippetsDir,
+				processor: unified().use(remarkParse).use(counter.plugin),
+			})
+		);
+
+		st.equal(result.match(/# Hello Snippet/g).length, 50);
+		st.equal(result.match(/List item 2/g).length, 50);
+		st.equal(counter.parses, 3, 'Should parse simple, nested and child once');
+		st.end();
+	});
+
+	t.test('A snippet included 100 times is parsed once', async (st) => {
+		const benchDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snippets-bench-'));
+		st.teardown(() => fs.rmSync(benchDir, {recursive: true, force: true}));
+
+		const includes = 100;
+		const content = Array.from(
+			{length: 10},
+			(_, index) =>
+				`## Step ${index}\n\nRun \`step-${index}\` with **care**, see [docs](https://example.com).\n\n- one\n- two`
+		).join('\n\n');
+
+		for (let index = 0; index < includes; index++) {
+			fs.writeFileSync(path.join(benchDir, `copy-${index}.mdx`), content);
+		}
+
+		/**
+		 * @param {(index: number) => string} name
+		 */
+		const expand = async (name) => {
+			const counter = createParseCounter();
+			const {value} = await expandSnippets(
+				Array.from(
+					{length: includes},
+					(_, index) => `<Snippet file="${name(index)}" />`
+				).join('\n\n'),
+				{
+					snippetsDir: benchDir,
+					processor: unified().use(remarkParse).use(counter.plugin),
+				}
+			);
+			return {value, parses: counter.parses};
+		};
+
+		const distinct = await expand((index) => `copy-${index}.mdx`);
+		const repeated = await expand(() => 'copy-0.mdx');
+
+		st.equal(repeated.value, distinct.value);
+		st.equal(distinct.parses, includes, 'Should parse every distinct file');
+		st.equal(repeated.parses, 1, 'Should parse the repeated file once');
+		st.end();
+	});
+
+	t.test('Concurrency limits the snippets loaded at once', async (st) => {
+		const urls = Array.from(
+			{length: 6},
+			(_, index) => `https://example.com/part-${index}.md`
+		);
+		const fetchMock = createFetchMock(
+			Object.fromEntries(
+				urls.map((url, index) => [url, {content: `Part ${index}`, delay: 20}])
+			)
+		);
+		const originalFetch = global.fetch;
+		let active = 0;
+		let peak = 0;
+
+		global.fetch = async (...args) => {
+			active++;
+			peak = Math.max(peak, active);
+
+			try {
+				return await fetchMock(...args);
+			} finally {
+				active--;
+			}
+		};
+
+		st.teardown(() => {
+			global.fetch = originalFetch;
+		});
+
+		const result = await mock(
+			urls.map((url) => `<Snippet file="${url}" />`).join('\n\n'),
+			(processor) => processor.use(mdxSnippet, {snippetsDir, concurrency: 2})
+		);
+
+		st.match(result, /Part 0[\s\S]*Part 5/);
+		st.equal(peak, 2, 'Should fetch two snippets at a time');
+		st.throws(
+			() => unified().use(mdxSnippet, {concurrency: 0}).freeze(),
+			/concurrency/
+		);
+		st.end();
+	});
+
+	t.end();
+});
+
+tap.test('mdxSnippet plugin - Expanded Cache', (t) => {
+	const {dir: snippetsDir, cleanup} = setupTempSnippetsDir();
+	const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'snippets-cache-'));
+
+	t.teardown(() => {
+		cleanup();
+		fs.rmSync(cacheDir, {recursive: true, force: true});
+	});
+
+	/**
+	 * Expand a page with a new processor, as a rebuild does
+	 */
+	const build = async (value, options = {}) => {
+		const counter = createParseCounter();
+		const file = new VFile({value, path: 'docs/page.mdx'});
+		await expandSnippets(file, {
+			snippetsDir,
+			cacheDir,
+			processor: unified().use(remarkParse).use(counter.plugin),
+			...options,
+		});
+		return {file, parses: counter.parses};
+	};
+
+	t.test('Warm builds reuse expanded snippets', async (st) => {
+		const cold = await build('<Snippet file="nested.mdx" />');
+		const warm = await build('<Snippet file="nested.mdx" />');
+
+		st.same(cold.file.data.snippetCache, {hits: 0, misses: 2});
+		st.same(warm.file.data.snippetCache, {hits: 1, misses: 0});
+		st.equal(warm.parses, 0, 'Should not parse any snippet');
+		st.equal(String(warm.file), String(cold.file));
+		st.same(
+			warm.file.data.snippetDependencies.sort(),
+			cold.file.data.snippetDependencies.sort(),
+			'Should still report nested snippets'
+		);
+		st.ok(fs.existsSync(path.join(cacheDir, 'expanded')));
+		st.end();
+	});
+
+	t.test('Changed nested snippets invalidate the cache', async (st) => {
+		const childPath = path.join(snippetsDir, 'child.mdx');
+		await build('<Snippet file="depth-1.mdx" />');
+
+		fs.writeFileSync(childPath, '- Changed item');
+		st.teardown(() => fs.writeFileSync(childPath, snippets['child.mdx']));
+
+		const {file} = await build('<Snippet file="depth-1.mdx" />');
+
+		st.same(file.data.snippetCache, {hits: 0, misses: 3});
+		st.match(String(file), /Changed item/);
+		st.end();
+	});
+
+	t.test('Changed siblings keep their own entries', async (st) => {
+		const secondaryPath = path.join(snippetsDir, 'secondary.mdx');
+		const page =
+			'<Snippet file="simple.mdx" />\n\n<Snippet file="secondary.mdx" />';
+		await build(page);
+
+		fs.writeFileSync(secondaryPath, 'Changed secondary');
+		st.teardown(() =>
+			fs.writeFileSync(secondaryPath, snippets['secondary.mdx'])
+		);
+
+		const {file} = await build(page);
+
+		st.same(file.data.snippetCache, {hits: 1, misses: 1});
+		st.match(String(file), /Changed secondary/);
+		st.end();
+	});
+
+	t.test('Props and options are part of the key', async (st) => {
+		await build('<Snippet file="install.mdx" pkg="react" version="18" />');
+
+		const props = await build(
+			'<Snippet file="install.mdx" pkg="vue" version="3" />'
+		);
+		const options = await build(
+			'<Snippet file="install.mdx" pkg="react" version="18" />',
+			{rewriteUrls: false}
+		);
+
+		st.same(props.file.data.snippetCache, {hits: 0, misses: 1});
+		st.match(String(props.file), /npm i vue@3/);
+		st.same(options.file.data.snippetCache, {hits: 0, misses: 1});
+		st.end();
+	});
+
+	t.test('Snippets with messages are not cached', async (st) => {
+		await build('<Snippet file="messages-parent.mdx" />');
+		const {file} = await build('<Snippet file="messages-parent.mdx" />');
+
+		st.same(file.data.snippetCache, {hits: 0, misses: 2});
+		st.equal(file.messages.length, 1, 'Should report the message again');
+		st.equal(file.messages[0].ruleId, 'missing-prop');
+		st.end();
+	});
+
+	t.end();
+});
+
+tap.test('mdxSnippet plugin - Source Positions', (t) => {
+	const {dir: snippetsDir, cleanup} = setupTempSnippetsDir();
+	t.teardown(cleanup);
+
+	const expandTree = async (options) => {
+		const processor = unified()
+			.use(remarkParse)
+			.use(remarkMdx)
+			.use(mdxSnippet, {
+				snippetsDir,
+				processor: unified().use(remarkParse),
+				...options,
+			});
+		const file = new VFile({
+			value: '# Doc\n\n<Snippet file="nested.mdx" />',
+			path: 'test.mdx',
+		});
+		const tree = await processor.run(processor.parse(file), file);
+		const [, heading, list] = tree.children;
+		return {heading, list};
+	};
+
+	t.test('Inserted nodes record where they come from', async (st) => {
+		const {heading, list} = await expandTree();
+
+		st.same(heading.data.snippet, {
+			path: path.join(snippetsDir, 'nested.mdx'),
+			url: `file://${path.join(snippetsDir, 'nested.mdx')}`,
+			includedFrom: path.resolve('test.mdx'),
+			position: {
+				start: {line: 3, column: 1, offset: 7},
+				end: {line: 3, column: 30, offset: 36},
+			},
+		});
+		st.equal(
+			heading.position.start.line,
+			1,
+			'Should keep the snippet position'
+		);
+		st.equal(
+			list.data.snippet.path,
+			path.join(snippetsDir, 'child.mdx'),
+			'Should keep the origin of nested snippets'
+		);
+		st.equal(
+			list.data.snippet.includedFrom,
+			path.join(snippetsDir, 'nested.mdx')
+		);
+		st.equal(
+			list.children[1].data.snippet.path,
+			path.join(snippetsDir, 'child.mdx')
+		);
+		st.end();
+	});
+
+	t.test('Positions can be remapped onto the snippet element', async (st) => {
+		const {heading, list} = await expandTree({remapPositions: true});
+
+		st.equal(heading.position.start.line, 3);
+		st.equal(list.position.start.line, 3, 'Should remap nested snippets too');
+		st.equal(list.children[0].position.end.column, 30);
+		st.equal(list.data.snippet.position.start.line, 3);
+		st.end();
+	});
+
+	t.end();
+});
+
+tap.test('mdxSnippet plugin - URL Rewriting', (t) => {
+	const {dir: snippetsDir, cleanup} = setupTempSnippetsDir();
+	t.teardown(cleanup);
+
+	t.test(
+		'Relative URLs in local snippets resolve from the page',
+		async (st) => {
+			const {result} = await mockWithFile(
+				`<Snippet file="directory/links.mdx" />`,
+				(processor) =>
+					processor.use(mdxSnippet, {snippetsDir, processor: processor()})
+			);
+
+			st.match(
+				result,
+				/!\[diagram\]\(_test_snippets\/directory\/img\/arch\.png\)/
+			);
+			st.match(result, /\[next\]\(_test_snippets\/child\.mdx#top\)/);
+			st.match(result, /\[ref\]: _test_snippets\/directory\/ref\.md\?plain/);
+			st.match(
+				result,
+				/<img src="_test_snippets\/directory\/img\/logo\.svg" \/>/
+			);
+			st.match(
+				result,
+				/\[anchor\]\(#intro\) \[root\]\(\/docs\) \[web\]\(https:\/\/example\.com\)/,
+				'Should leave anchors, root-relative and absolute URLs alone'
+			);
+			st.end();
+		}
+	);
+
+	t.test('Relative URLs in remote snippets become absolute', async (st) => {
+		const originalFetch = global.fetch;
+		global.fetch = createFetchMock({
+			'https://example.com/docs/readme.md': {
+				content: '![arch](./img/arch.png)\n\n[other](../other.md)',
+			},
+		});
+		st.teardown(() => {
+			global.fetch = originalFetch;
+		});
+
+		const result = await mock(
+			`<Snippet file="https://example.com/docs/readme.md" />`,
+			(processor) => processor.use(mdxSnippet, {snippetsDir})
+		);
+
+		st.match(result, /\(https:\/\/example\.com\/docs\/img\/arch\.png\)/);
+		st.match(result, /\(https:\/\/example\.com\/other\.md\)/);
+		st.end();
+	});
+
+	t.test('rewriteUrl customises and rewriteUrls disables', async (st) => {
+		const contexts = [];
+		const custom = await mock(
+			`<Snippet file="directory/links.mdx" />`,
+			(processor) =>
+				processor.use(mdxSnippet, {
+					snippetsDir,
+					processor: processor(),
+					rewriteUrl(rewritten, context) {
+						contexts.push(context);
+						return context.url.endsWith('.png')
+							? `/static/${context.url.slice(2)}`
+							: undefined;
+					},
+				})
+		);
+
+		st.match(custom, /!\[diagram\]\(\/static\/img\/arch\.png\)/);
+		st.match(custom, /\[next\]\(_test_snippets\/child\.mdx#top\)/);
+		st.equal(contexts.length, 4, 'Should only call the hook for relative URLs');
+		st.equal(
+			contexts[0].snippet,
+			path.join(snippetsDir, 'directory/links.mdx')
+		);
+		st.equal(contexts[0].remote, false);
+
+		const unchanged = await mock(
+			`<Snippet file="directory/links.mdx" />`,
+			(processor) =>
+				processor.use(mdxSnippet, {
+					snippetsDir,
+					processor: processor(),
+					rewriteUrls: false,
+				})
+		);
+
+		st.match(unchanged, /!\[diagram\]\(\.\/img\/arch\.png\)/);
+		st.end();
+	});
+
+	t.end();
+});
+
+tap.test('mdxSnippet plugin - Dependencies', (t) => {
+	const {dir: snippetsDir, cleanup} = setupTempSnippetsDir();
+	t.teardown(cleanup);
+
+	t.test('Nested snippets are recorded on the root file', async (st) => {
+		const {file} = await mockWithFile(
+			`<Snippet file="depth-1.mdx" />`,
+			(processor) =>
+				processor.use(mdxSnippet, {snippetsDir, processor: processor()})
+		);
+
+		st.same(
+			[...file.data.snippetDependencies].sort(),
+			['child.mdx', 'depth-1.mdx', 'depth-2.mdx'].map((name) =>
+				path.join(snippetsDir, name)
+			)
+		);
+		st.end();
+	});
+
+	t.test(
+		'Remote snippets and their local includes are recorded',
+		async (st) => {
+			const originalFetch = global.fetch;
+			global.fetch = createFetchMock({
+				'https://example.com/remote-parent.md': {
+					content: '# Remote Parent\n\n<Snippet file="child.mdx" />',
+				},
+			});
+			st.teardown(() => {
+				global.fetch = originalFetch;
+			});
+
+			const {file} = await mockWithFile(
+				`<Snippet file="https://example.com/remote-parent.md" />`,
+				(processor) =>
+					processor.use(mdxSnippet, {snippetsDir, processor: processor()})
+			);
+
+			st.same(file.data.snippetDependencies, [
+				'https://example.com/remote-parent.md',
+				path.join(snippetsDir, 'child.mdx'),
+			]);
+			st.end();
+		}
+	);
+
+	t.test(
+		'Missing snippets are recorded so creating them rebuilds',
+		async (st) => {
+			const {file} = await mockWithFile(
+				`<Snippet file="not-yet.mdx" />`,
+				(processor) => processor.use(mdxSnippet, {snippetsDir})
+			);
+
+			st.equal(file.messages[0].ruleId, 'missing-file');
+			st.same(file.data.snippetDependencies, [
+				path.join(snippetsDir, 'not-yet.mdx'),
+			]);
+			st.end();
+		}
+	);
+
+	t.test('Local snippets are passed to the webpack loader', async (st) => {
+		const added = [];
+		const processor = unified()
+			.use(remarkParse)
+			.use(remarkMdx)
+			.use(mdxSnippet, {snippetsDir, processor: unified().use(remarkParse)});
+		const file = new VFile({
+			value: `<Snippet file="nested.mdx" />`,
+			path: 'test.mdx',
+			data: {_compiler: {addDependency: (filePath) => added.push(filePath)}},
+		});
+
+		await processor.run(processor.parse(file), file);
+
+		st.same(
+			added.sort(),
+			['child.mdx', 'nested.mdx'].map((name) => path.join(snippetsDir, name))
+		);
+		st.end();
+	});
+
+	t.test(
+		'createSnippetGraph finds the pages that include a snippet',
+		async (st) => {
+			const run = async (filePath, value) => {
+				const processor = unified()
+					.use(remarkParse)
+					.use(remarkMdx)
+					.use(mdxSnippet, {
+						snippetsDir,
+						processor: unified().use(remarkParse),
+					});
+				const file = new VFile({value, path: filePath});
+				await processor.run(processor.parse(file), file);
+				return file;
+			};
+
+			const graph = createSnippetGraph([
+				await run('docs/a.mdx', `<Snippet file="nested.mdx" />`),
+				await run('docs/b.mdx', `<Snippet file="simple.mdx" />`),
+			]);
+			const child = path.relative(
+				process.cwd(),
+				path.join(snippetsDir, 'child.mdx')
+			);
+
+			st.same(graph.dependentsOf(child), [path.resolve('docs/a.mdx')]);
+			st.same(graph.dependentsOf(path.join(snippetsDir, 'unused.mdx')), []);
+			st.same(graph.documents(), [
+				path.resolve('docs/a.mdx'),
+				path.resolve('docs/b.mdx'),
+			]);
+
+			graph.set('docs/a.mdx', [path.join(snippetsDir, 'simple.mdx')]);
+			st.same(graph.dependentsOf(child), [], 'Should forget old includes');
+			st.same(graph.dependentsOf(path.join(snippetsDir, 'simple.mdx')).sort(), [
+				path.resolve('docs/a.mdx'),
+				path.resolve('docs/b.mdx'),
+			]);
+
+			st.ok(graph.delete('docs/b.mdx'));
+			st.same(graph.dependenciesOf('docs/b.mdx'), []);
+			st.end();
+		}
+	);
+
+	t.test('Unused snippets and missing includes are audited', async (st) => {
+		const files = [
+			new VFile({value: '<Snippet file="depth-1.mdx" />', path: 'docs/a.mdx'}),
+			new VFile({
+				value: '<Snippet file="nested.mdx" />\n\n<Snippet file="gone.mdx" />',
+				path: 'docs/b.mdx',
+			}),
+		];
+
+		for (const file of files) {
+			await expandSnippets(file, {snippetsDir});
+		}
+
+		const {unused, missing, messages} = await auditSnippets(files, {
+			snippetsDir,
+		});
+
+		st.ok(unused.includes(path.join(snippetsDir, 'simple.mdx')));
+		st.ok(unused.includes(path.join(snippetsDir, 'directory/dir.mdx')));
+		st.notOk(
+			unused.some((snippet) =>
+				['child.mdx', 'depth-1.mdx', 'depth-2.mdx', 'nested.mdx'].includes(
+					path.basename(snippet)
+				)
+			),
+			'Should count nested includes as used'
+		);
+		st.same(missing, [
+			{
+				snippet: path.join(snippetsDir, 'gone.mdx'),
+				documents: [path.resolve('docs/b.mdx')],
+			},
+		]);
+		st.equal(
+			messages.filter((message) => message.ruleId === 'unused-snippet').length,
+			unused.length
+		);
+		st.equal(
+			messages.find((message) => message.ruleId === 'missing-file').file,
+			'docs/b.mdx'
+		);
+		st.end();
+	});
+
+	t.end();
+});
+
+tap.test('expandSnippets', (t) => {
+	const {dir: snippetsDir, cleanup} = setupTempSnippetsDir();
+	t.teardown(cleanup);
+
+	t.test('Expands a markdown string', async (st) => {
+		const {value, dependencies, messages} = await expandSnippets(
+			'# Doc\n\n<Snippet file="nested.mdx" />',
+			{snippetsDir}
+		);
+
+		st.equal(
+			value,
+			'# Doc\n\n## Nested Heading\n\n* List item 1\n* List item 2\n'
+		);
+		st.same(
+			dependencies.sort(),
+			['child.mdx', 'nested.mdx'].map((name) => path.join(snippetsDir, name))
+		);
+		st.same(messages, []);
+		st.end();
+	});
+
+	t.test('Expands a VFile and reports problems', async (st) => {
+		const file = new VFile({
+			value: '---\ntitle: Doc\n---\n\n<Snippet file="missing.mdx" />',
+			path: 'docs/page.mdx',
+		});
+
+		const {value, messages} = await expandSnippets(file, {snippetsDir});
+
+		st.equal(
+			value,
+			'---\ntitle: Doc\n---\n\n<Snippet file="missing.mdx" />\n',
+			'Should keep the frontmatter of the document'
+		);
+		st.equal(messages.length, 1);
+		st.equal(messages[0].ruleId, 'missing-file');
+		st.equal(file.messages, messages, 'Should process the file in place');
+		st.end();
+	});
+
+	t.end();
+});
+
+tap.test('Command line', (t) => {
+	const cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'snippets-cli-'));
+	const files = {
+		'_snippets/nested.mdx': snippets['nested.mdx'],
+		'_snippets/child.mdx': snippets['child.mdx'],
+		'_snippets/simple.mdx': snippets['simple.mdx'],
+		'_snippets/unused.mdx': 'Nobody includes me',
+		'docs/a.mdx': '# A\n\n<Snippet file="nested.mdx" />',
+		'docs/b.mdx': '# B\n\n<Snippet file="simple.mdx" />',
+		'broken/c.mdx': '<Snippet file="missing.mdx" />',
+	};
+
+	for (const [name, content] of Object.entries(files)) {
+		fs.mkdirSync(path.join(cwd, path.dirname(name)), {recursive: true});
+		fs.writeFileSync(path.join(cwd, name), content);
+	}
+
+	t.teardown(() => fs.rmSync(cwd, {recursive: true, force: true}));
+
+	const cli = async (...argv) => {
+		const stdout = {data: '', write: (chunk) => (stdout.data += chunk)};
+		const stderr = {data: '', write: (chunk) => (stderr.data += chunk)};
+		const code = await run(argv, {cwd, stdout, stderr});
+		return {code, stdout: stdout.data, stderr: stderr.data};
+	};
+
+	t.test('flatten writes expanded files', async (st) => {
+		const {code, stderr} = await cli('flatten', 'docs/*.mdx', '--out', 'out');
+
+		st.equal(code, 0);
+		st.equal(stderr, '');
+		st.equal(
+			fs.readFileSync(path.join(cwd, 'out/docs/a.mdx'), 'utf8'),
+			'# A\n\n## Nested Heading\n\n* List item 1\n* List item 2\n'
+		);
+		st.ok(fs.existsSync(path.join(cwd, 'out/docs/b.mdx')));
+		st.end();
+	});
+
+	t.test('flatten skips its output and files outside the cwd', async (st) => {
+		const outside = path.join(path.dirname(cwd), 'outside.mdx');
+		fs.writeFileSync(outside, '# Outside');
+		st.teardown(() => fs.rmSync(outside));
+
+		fs.writeFileSync(path.join(cwd, '..notes.mdx'), '# Notes');
+		st.teardown(() => fs.rmSync(path.join(cwd, '..notes.mdx')));
+
+		const again = await cli('flatten', '**/a.mdx', '--out', 'out');
+		const dotted = await cli('flatten', '..notes.mdx', '--out', 'out');
+		const escaped = await cli('flatten', '../outside.mdx', '--out', 'out');
+		const checked = await cli('check', '**/a.mdx', '--ignore', 'out/**');
+
+		st.equal(again.code, 0);
+		st.equal(dotted.code, 0, 'Should write names that start with two dots');
+		st.ok(fs.existsSync(path.join(cwd, 'out/..notes.mdx')));
+		st.notOk(fs.existsSync(path.join(cwd, 'out/out')));
+		st.equal(escaped.code, 1);
+		st.match(escaped.stderr, /outside the working directory/);
+		st.notOk(fs.existsSync(path.join(cwd, 'outside.mdx')));
+		st.match(checked.stdout, /^Checked 1 files/);
+		st.end();
+	});
+
+	t.test('check reports missing and unused snippets', async (st) => {
+		const {code, stdout, stderr} = await cli('check', 'docs/*.mdx', 'broken/*');
+
+		st.equal(code, 1);
+		st.match(stderr, /^broken\/c\.mdx:1:1: .*\[missing-file\]$/m);
+		st.match(
+			stderr,
+			/^_snippets\/unused\.mdx: Snippet is not included by any document \[unused-snippet\]$/m
+		);
+		st.notMatch(stderr, /nested\.mdx|child\.mdx|simple\.mdx/);
+		st.equal(stdout, 'Checked 3 files, 2 problems\n');
+		st.end();
+	});
+
+	t.test('check passes without problems', async (st) => {
+		fs.unlinkSync(path.join(cwd, '_snippets/unused.mdx'));
+		const {code, stdout, stderr} = await cli('check', 'docs/*.mdx');
+
+		st.equal(code, 0);
+		st.equal(stderr, '');
+		st.equal(stdout, 'Checked 2 files, no problems\n');
+		st.end();
+	});
+
+	t.test('usages lists the files including a snippet', async (st) => {
+		const {code, stdout} = await cli('usages', '_snippets/child.mdx');
+		const short = await cli('usages', 'child.mdx');
+		const missing = await cli('usages', 'nope.mdx');
+
+		st.equal(code, 0);
+		st.equal(stdout, path.join('docs', 'a.mdx') + '\n');
+		st.equal(short.stdout, stdout, 'Should look in the snippet directories');
+		st.equal(missing.code, 1);
+		st.equal(missing.stdout, '');
+		st.match(missing.stderr, /No snippet found for "nope\.mdx"/);
+		st.end();
+	});
+
+	t.test('Options take a value after a space or =', async (st) => {
+		const inline = await cli('flatten', 'docs/a.mdx', '--out=inline');
+		const unknown = await cli('check', 'docs/*.mdx', '--verbose');
+		const empty = await cli('flatten', 'docs/a.mdx', '--out');
+
+		st.equal(inline.code, 0);
+		st.ok(fs.existsSync(path.join(cwd, 'inline/docs/a.mdx')));
+		st.equal(unknown.code, 1);
+		st.match(unknown.stderr, /^Unknown option '--verbose'/);
+		st.equal(empty.code, 1);
+		st.match(empty.stderr, /^Option '--out' needs a value/);
+		st.end();
+	});
+
+	t.test('Unknown commands print the usage', async (st) => {
+		const {code, stderr} = await cli('publish');
+
+		st.equal(code, 1);
+		st.match(stderr, /Unknown command "publish"/);
+		st.match(stderr, /Usage: remark-mdx-snippets/);
 		st.end();
 	});
 